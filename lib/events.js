@@ -0,0 +1,112 @@
+'use strict';
+
+/**
+ * |-----------------------------------------------------|
+ * |                                                     |
+ * |      EVENTS of the wrapped Datastore client         |
+ * |                                                     |
+ * |-----------------------------------------------------|
+ *
+ * Emit the events of the wrapped client on "datastoreAdapter.events".
+ * Each event carries the Kind and namespace, the fingerprints (cache strings) of the keys
+ * or of the query, and the duration (ms) of the operation. The events of the keys are
+ * emitted per Kind (and namespace). The payloads are only built when there are listeners.
+ */
+
+const { isAggregationQuery } = require('./utils');
+
+const getEntitiesSize = entities =>
+    entities.reduce((acc, entity) => acc + Buffer.byteLength(JSON.stringify(entity)), 0);
+
+const stopwatch = () => {
+    const start = Date.now();
+    return () => Date.now() - start;
+};
+
+const groupKeysByKind = keys => {
+    const groups = keys.reduce((acc, key) => {
+        const id = JSON.stringify([key.namespace || '', key.kind]);
+        acc[id] = acc[id] || { kind: key.kind, namespace: key.namespace, keys: [] };
+        acc[id].keys.push(key);
+        return acc;
+    }, {});
+    return Object.keys(groups).map(id => groups[id]);
+};
+
+module.exports = datastoreAdapter => {
+    const { events } = datastoreAdapter;
+
+    const emitKeys = (event, keys, data) => {
+        if (events.listenerCount(event) === 0) {
+            return;
+        }
+        groupKeysByKind(keys).forEach(group =>
+            events.emit(
+                event,
+                Object.assign(group, { keys: group.keys.map(key => datastoreAdapter.keyToString(key)) }, data)
+            )
+        );
+    };
+
+    /**
+     * A read is a "hit" when all the keys of a Kind are in the cache, a "miss" when none are
+     */
+    const emitKeysRead = (keys, keysFetched, entitiesFetched, duration) => {
+        if (['hit', 'miss', 'partialHit'].every(event => events.listenerCount(event) === 0)) {
+            return;
+        }
+        const fetched = keysFetched.map(key => datastoreAdapter.keyToString(key));
+        groupKeysByKind(keys).forEach(group => {
+            const misses = group.keys.filter(key => fetched.indexOf(datastoreAdapter.keyToString(key)) >= 0).length;
+            // Size of the entities fetched from the Datastore, and stored in the cache
+            const bytes = getEntitiesSize(
+                entitiesFetched.filter(entity => {
+                    const key = datastoreAdapter.getKeyFromEntity(entity);
+                    return key && key.kind === group.kind && (key.namespace || '') === (group.namespace || '');
+                })
+            );
+            let event = 'partialHit';
+            if (misses === 0) {
+                event = 'hit';
+            } else if (misses === group.keys.length) {
+                event = 'miss';
+            }
+            emitKeys(event, group.keys, { hits: group.keys.length - misses, misses, bytes, duration });
+        });
+    };
+
+    const emitQuery = (event, query, data) => {
+        if (events.listenerCount(event) === 0) {
+            return;
+        }
+        const { kinds, namespace } = isAggregationQuery(query) ? query.query : query;
+        events.emit(
+            event,
+            Object.assign({ kind: kinds[0], namespace, query: datastoreAdapter.queryToString(query) }, data)
+        );
+    };
+
+    /**
+     * Without listener, an "error" event would throw
+     */
+    const emitError = (err, target) => {
+        if (events.listenerCount('error') > 0) {
+            events.emit('error', err, target);
+        }
+    };
+
+    const onCacheError = target => err => {
+        emitError(err, target);
+        return Promise.reject(err);
+    };
+
+    return {
+        stopwatch,
+        getEntitiesSize,
+        emitKeys,
+        emitKeysRead,
+        emitQuery,
+        emitError,
+        onCacheError,
+    };
+};
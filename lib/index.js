@@ -10,8 +10,21 @@
  * |-----------------------------------------------------|
  */
 
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { PassThrough } = require('stream');
 const arrify = require('arrify');
 
+const createEvents = require('./events');
+const createMetrics = require('./metrics');
+const createNamespaces = require('./namespaces');
+const createNegativeCache = require('./negative-cache');
+const createQueryPatching = require('./query-patching');
+const createStaleWhileRevalidate = require('./stale-while-revalidate');
+const createTombstones = require('./tombstones');
+const createTracing = require('./tracing');
+const { isPlainObject, isAggregationQuery, separator, isEntity, getKeysFound } = require('./utils');
+
 const isCacheOn = (options, config) => {
     if (typeof options.cache !== 'undefined') {
         return options.cache;
@@ -19,18 +32,430 @@ const isCacheOn = (options, config) => {
     return config.global !== false;
 };
 
-const separator = ':%:';
+const isKeyComplete = key => Boolean(key.id || key.name);
+
+const getAncestors = key => (key.parent ? [key.parent, ...getAncestors(key.parent)] : []);
+
+const isPrimitive = value => value === null || ['string', 'number', 'boolean'].indexOf(typeof value) >= 0;
+
+/**
+ * Compare two primitive values of an entity the way the Datastore orders them.
+ * Returns "undefined" when they can't be compared locally (different types, integers and doubles...).
+ */
+const compareValues = (a, b) => {
+    if (!isPrimitive(a) || !isPrimitive(b) || typeof a !== typeof b) {
+        return undefined;
+    }
+    if (typeof a === 'number' && Number.isInteger(a) !== Number.isInteger(b)) {
+        return undefined;
+    }
+    if (a === b) {
+        return 0;
+    }
+    return a < b ? -1 : 1;
+};
+
+/**
+ * Compare two Keys the way the Datastore orders them: from their root, by Kind, then ids before names.
+ */
+const compareKeys = (a, b) => {
+    const pathA = [...getAncestors(a).reverse(), a];
+    const pathB = [...getAncestors(b).reverse(), b];
+
+    for (let i = 0; i < Math.min(pathA.length, pathB.length); i += 1) {
+        const [elementA, elementB] = [pathA[i], pathB[i]];
+        const isIdA = typeof elementA.name === 'undefined';
+        const isIdB = typeof elementB.name === 'undefined';
+        let result = compareValues(elementA.kind, elementB.kind);
+
+        if (result === 0 && isIdA !== isIdB) {
+            result = isIdA ? -1 : 1;
+        } else if (result === 0 && isIdA) {
+            // The ids can be strings (int64), we compare them by their length first
+            const [idA, idB] = [String(elementA.id), String(elementB.id)];
+            result = idA.length === idB.length ? compareValues(idA, idB) : Math.sign(idA.length - idB.length);
+        } else if (result === 0) {
+            result = compareValues(elementA.name, elementB.name);
+        }
+        if (result !== 0) {
+            return result;
+        }
+    }
+    return Math.sign(pathA.length - pathB.length);
+};
+
+/**
+ * Options of the wrapped methods that are for the cache
+ * and must not be passed to the Datastore client
+ */
+const cacheOptions = ['cache', 'tombstone'];
+
+const toClientOptions = options =>
+    Object.keys(options)
+        .filter(option => cacheOptions.indexOf(option) < 0)
+        .reduce((acc, option) => Object.assign(acc, { [option]: options[option] }), {});
+
+/**
+ * The Datastore client methods overridden by "wrapClient()"
+ */
+const clientMethods = [
+    'get',
+    'createQuery',
+    'runQueryStream',
+    'runAggregationQuery',
+    'save',
+    'update',
+    'insert',
+    'upsert',
+    'delete',
+    'transaction',
+    'merge',
+];
+
+/**
+ * Property of a wrapped client holding its original methods (shared between copies of this module)
+ */
+const wrapperSymbol = Symbol.for('nsql-cache-datastore.wrapper');
+
+const hasOwn = (object, prop) => Object.prototype.hasOwnProperty.call(object, prop);
+
+/**
+ * The Datastore metadata Kinds
+ */
+const metadataKinds = ['__kind__', '__namespace__', '__property__'];
+
+const defaultConfig = {
+    /**
+     * Kindless queries (without an ancestor filter) and queries on the metadata Kinds
+     * are not cached by default as there is no Entity Kind to invalidate them.
+     * When set to "true" they are cached and invalidated by any write in their namespace.
+     */
+    cacheKindlessQueries: false,
+    /**
+     * Hash the strings returned by keyToString() and queryToString().
+     * Either "false", "true" (default hash settings below) or an object to override them.
+     */
+    hash: false,
+    /**
+     * Wrap a copy of the Datastore client (available on the "client" property of the adapter)
+     * instead of overriding the methods of the client passed to the adapter.
+     */
+    copyClient: false,
+    /**
+     * Cache the keys not found in the Datastore, so the next lookups of a missing entity don't hit the Datastore.
+     * Either "false", "true" (default settings below) or an object to override them.
+     */
+    negativeCache: false,
+    /**
+     * Allow the "tombstone" option of the wrapped delete(). When enabled, the entities fetched from
+     * the Datastore on a cache miss are checked against the tombstones before priming the cache.
+     * It is off by default so a cache miss does not pay that extra lookup.
+     */
+    tombstones: false,
+    /**
+     * Keep a stale copy of the entities and queries for a grace window after their TTL, returned instead
+     * of the error when the Datastore call of a cache miss fails.
+     * Either "false", "true" (default settings below) or an object to override them.
+     */
+    staleWhileRevalidate: false,
+    /**
+     * On update, only clear the cached projection (and keys-only) queries that depend on the properties
+     * modified (the properties they filter, order, group by or select). The queries returning full
+     * entities are always cleared as their result holds all the properties.
+     * This requires the entity to be in the cache before the update. Inserts and deletes still clear
+     * all the queries of the Kind.
+     */
+    fieldLevelInvalidation: false,
+    /**
+     * Collect metrics per Kind (hit ratio, Datastore fallbacks, invalidations, bytes stored, latency)
+     * from the events of the wrapped client. Either "false", "true" or an object with the "prefix" of
+     * the Prometheus metric names and the latency histogram "buckets" (seconds).
+     */
+    metrics: false,
+    /**
+     * An OpenTelemetry like tracer to trace the cache operations of the wrapped client.
+     * It must have a "startSpan(name, { attributes })" method returning a span with the
+     * "setAttribute(name, value)" and "end()" methods ("recordException()" and "setStatus()" are optional).
+     */
+    tracer: undefined,
+    /**
+     * Configuration per Entity Kind. Ex: { User: { onWrite: 'invalidate' }, Country: { ttl: 86400 } }
+     * - "onWrite" is either "prime" (default, the cache is primed with the entities saved)
+     *   or "invalidate" (the entities saved are removed from the cache and read again on the next get).
+     * - "cache": turn the cache on or off for the Kind (its keys and queries)
+     * - "queries": set to "false" to only cache the keys of the Kind
+     * - "ttl": TTL of the keys and queries of the Kind (seconds, or an object mapping the cache stores)
+     * - "patchQueries": set to "true" to update the cached result of the simple queries of the Kind
+     *   on write instead of clearing it (see "isQueryPatchable()"). This requires a Redis client.
+     * The "cache" option passed to a method always wins over the Kind configuration.
+     */
+    kinds: {},
+};
+
+const writePolicies = ['prime', 'invalidate'];
+
+const defaultHashConfig = {
+    /**
+     * Any digest algorithm supported by the Node "crypto" module
+     */
+    algorithm: 'sha1',
+    /**
+     * Keep the namespace and the Kind readable in front of the digest, for debugging
+     */
+    prefix: true,
+    /**
+     * Maximum length of the hashed string. The readable prefix is truncated to respect it.
+     */
+    maxLength: 250,
+};
+
+/**
+ * Percent-encode the characters that have a meaning in our serialized strings
+ * ("%" and ":" of the separator, "'" around names and "," between list items)
+ * so that a part can never contain a separator.
+ */
+const escapePart = part =>
+    String(part).replace(
+        /[%:',]/g,
+        char =>
+            `%${char
+                .charCodeAt(0)
+                .toString(16)
+                .toUpperCase()}`
+    );
+
+const unescapePart = part => decodeURIComponent(part);
+
+/**
+ * Key names that could be read as an id (or are empty) are wrapped in single quotes
+ */
+const nameToString = name => (/^\d*$/.test(name) ? `'${escapePart(name)}'` : escapePart(name));
+
+const idOrNameToString = ({ id, name }) => {
+    if (typeof name !== 'undefined') {
+        return nameToString(name);
+    }
+    return typeof id !== 'undefined' ? String(id) : '';
+};
+
+module.exports = (ds, config = {}) => {
+    config = Object.assign({}, defaultConfig, config);
+    const hashConfig = Object.assign({}, defaultHashConfig, isPlainObject(config.hash) ? config.hash : {});
+
+    Object.keys(config.kinds).forEach(kind => {
+        const { onWrite } = config.kinds[kind];
+        if (typeof onWrite !== 'undefined' && writePolicies.indexOf(onWrite) < 0) {
+            throw new Error(`Invalid "onWrite" policy for the Kind "${kind}": ${onWrite}.`);
+        }
+    });
+
+    if (config.hash) {
+        const digestLength = crypto.createHash(hashConfig.algorithm).digest('hex').length;
+        if (hashConfig.maxLength < digestLength) {
+            throw new Error(
+                `Invalid "hash.maxLength": ${hashConfig.maxLength} is shorter than the ${
+                    hashConfig.algorithm
+                } digest (${digestLength}).`
+            );
+        }
+    }
+
+    const getKindConfig = kind => config.kinds[kind] || {};
+
+    /**
+     * Check if the cache is primed with the entity saved or if it is invalidated (see the "kinds" config)
+     */
+    const isPrimedOnWrite = key => isKeyComplete(key) && getKindConfig(key.kind).onWrite !== 'invalidate';
+
+    /**
+     * Hash a key or query string. The "hash" option passed to keyToString() or queryToString()
+     * takes over the adapter configuration, so the raw string is always available with "{ hash: false }".
+     *
+     * @param {string} str The raw string
+     * @param {Array<string>} readableParts The parts (namespace and Kind) to keep readable in the prefix
+     * @param {object} options The options passed to keyToString() or queryToString()
+     */
+    const hashString = (str, readableParts, options = {}) => {
+        const hash = typeof options.hash !== 'undefined' ? options.hash : config.hash;
+        if (!hash) {
+            return str;
+        }
+
+        const digest = crypto
+            .createHash(hashConfig.algorithm)
+            .update(str)
+            .digest('hex');
+        const readable = readableParts.filter(part => part).map(escapePart);
+        const prefix = hashConfig.prefix ? readable.join(separator) + separator : '';
+
+        return prefix.slice(0, Math.max(0, hashConfig.maxLength - digest.length)) + digest;
+    };
+
+    /**
+     * Since v2.0.0 of @google/datastore the isInt(), isDouble() and isGeoPoint() helpers
+     * are on the "googleDatastore" prop of the datastore instance
+     */
+    const dsHelper = name => (ds ? ds[name] || ds.googleDatastore[name] : () => {});
+    const isInt = dsHelper('isInt');
+    const isDouble = dsHelper('isDouble');
+    const isGeoPoint = dsHelper('isGeoPoint');
+
+    /**
+     * Format a value the same way the Datastore client decodes it when reading an entity.
+     * Dates, Buffers and Keys are left untouched, plain objects are embedded entities.
+     */
+    const formatValue = value => {
+        if (isInt(value) || isDouble(value)) {
+            return Number(value.value);
+        }
+        if (isGeoPoint(value)) {
+            return value.value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(formatValue);
+        }
+        if (isPlainObject(value)) {
+            return Object.keys(value).reduce((acc, prop) => {
+                acc[prop] = formatValue(value[prop]);
+                return acc;
+            }, {});
+        }
+        return value;
+    };
+
+    /**
+     * The "data" of an entity saved can either be an object or an Array
+     * of property descriptors ({ name, value, excludeFromIndexes }).
+     * We convert it to the entity shape that datastore.get() returns.
+     */
+    const formatEntityData = data => {
+        if (Array.isArray(data)) {
+            return data.reduce((acc, { name, value }) => {
+                acc[name] = formatValue(value);
+                return acc;
+            }, {});
+        }
+        return formatValue(data);
+    };
+
+    /**
+     * The Datastore client accepts, for its save methods, entities returned by datastore.get().
+     * In that case the Key is on the entity Symbol and the entity is the data.
+     */
+    const toEntityObject = entity => {
+        if (entity[ds.KEY]) {
+            return { key: entity[ds.KEY], data: entity };
+        }
+        return entity;
+    };
+
+    /**
+     * Convert the "data" of an entity saved from an Array of property descriptors to an object,
+     * moving the properties excluded from the indexes to its "excludeFromIndexes" list.
+     * The values are kept as they are (not formatted), so the entity can be saved to the Datastore.
+     */
+    const toDataObject = ({ data, excludeFromIndexes = [] }) => {
+        if (!Array.isArray(data)) {
+            return { data, excludeFromIndexes };
+        }
+        return {
+            data: data.reduce((acc, { name, value }) => {
+                acc[name] = value;
+                return acc;
+            }, {}),
+            excludeFromIndexes: [
+                ...excludeFromIndexes,
+                ...data
+                    .filter(prop => prop.excludeFromIndexes)
+                    .map(({ name, value }) => (Array.isArray(value) ? `${name}[]` : name)),
+            ],
+        };
+    };
+
+    const getAncestorFilters = query => query.filters.filter(filter => filter.op === 'HAS_ANCESTOR');
+
+    /**
+     * A kindless query with an ancestor filter is not in this category,
+     * it is invalidated by the writes of the ancestor descendants.
+     */
+    const isKindlessQuery = query =>
+        (query.kinds.length === 0 && getAncestorFilters(query).length === 0) ||
+        metadataKinds.indexOf(query.kinds[0]) >= 0;
+
+    /**
+     * Queries with a limit or a cursor return one page of a logical query
+     */
+    const isPaginatedQuery = query => query.limitVal > 0 || Boolean(query.startVal) || Boolean(query.endVal);
+
+    /**
+     * The properties a projection query depends on: the properties it filters, orders, groups by or selects
+     */
+    const getQueryProperties = query =>
+        [
+            ...query.filters.map(filter => filter.name),
+            ...query.orders.map(order => order.name),
+            ...query.groupByVal,
+            ...query.selectVal,
+        ].filter((prop, i, props) => prop !== '__key__' && props.indexOf(prop) === i);
+
+    /**
+     * The properties whose value differs between the entity cached and the entity data saved
+     */
+    const getChangedProperties = (previous, data) =>
+        Object.keys(Object.assign({}, previous, data)).filter(
+            prop => serializeValue(previous[prop]) !== serializeValue(data[prop])
+        );
+
+    /**
+     * The "__namespace__" metadata queries span all the namespaces, we never cache them.
+     */
+    const isQueryCacheable = query => {
+        if (isAggregationQuery(query)) {
+            return isQueryCacheable(query.query);
+        }
+        return !isKindlessQuery(query) || (config.cacheKindlessQueries && query.kinds[0] !== '__namespace__');
+    };
 
-module.exports = ds => {
     /**
-     * Since v2.0.0 of @google/datastore the isInt() helper
-     * is on the "googleDatastore" prop of the datastore instance
+     * The queries of a Kind with the "patchQueries" rule whose result can be updated locally on write:
+     * equality filters on primitive values, orders on properties and no limit, offset, cursor,
+     * ancestor, projection or group by.
      */
-    const isInt = ds ? ds.isInt || ds.googleDatastore.isInt : () => {};
+    const isQueryPatchable = query =>
+        !isAggregationQuery(query) &&
+        query.kinds.length === 1 &&
+        !isKindlessQuery(query) &&
+        getKindConfig(query.kinds[0]).patchQueries === true &&
+        !isPaginatedQuery(query) &&
+        !(query.offsetVal > 0) &&
+        query.selectVal.length === 0 &&
+        query.groupByVal.length === 0 &&
+        query.filters.every(({ name, op, val }) => op === '=' && name !== '__key__' && isPrimitive(val)) &&
+        query.orders.every(({ name }) => name !== '__key__');
 
-    const parseValue = val => (isInt(val) ? `DS_INT(${val.value})` : val);
+    /**
+     * The properties of an entity saved that are not indexed, and thus never returned by a query on them
+     */
+    const getUnindexedProperties = ({ data, excludeFromIndexes = [] }) => [
+        ...excludeFromIndexes.map(name => name.split(/[.[]/)[0]),
+        ...(Array.isArray(data) ? data.filter(prop => prop.excludeFromIndexes).map(prop => prop.name) : []),
+    ];
+
+    /**
+     * Restore the methods of the client wrapped (set by "wrapClient()")
+     */
+    let restoreClient = () => {};
 
     const datastoreAdapter = {
+        /**
+         * The Datastore client, a copy of it once wrapped with the "copyClient" config
+         */
+        client: ds,
+        /**
+         * Events emitted by the methods of the wrapped client:
+         * "hit", "miss", "partialHit", "prime", "invalidateKeys", "invalidateQueries" and "error"
+         */
+        events: new EventEmitter(),
         /**
          * Get one or multiple (array) entities by Key
          *
@@ -66,12 +491,187 @@ module.exports = ds => {
         },
         /**
          * Read the entity Kind from a Datastore Query object
+         * If the query has an ancestor filter, the ancestor Key is returned too
+         * so the query is invalidated when any of its descendants is written.
+         * Kindless and metadata queries are referenced under their namespace.
+         * The Kinds of a namespaced query are prefixed with the namespace so the writes in
+         * one namespace don't invalidate the queries of the others. The query is also referenced
+         * under its namespace to be able to flush all the queries of a namespace.
+         * The pages of a paginated query are referenced under their logical query (see "pagesToString()").
          *
          * @param {any} query Datastore query object
-         * @returns {string} the entity Kind
+         * @returns {string|Array<string>} the entity Kind (and the ancestors the query depends on)
          */
         getEntityKindFromQuery(query) {
-            return query.kinds[0];
+            if (isAggregationQuery(query)) {
+                // Aggregation queries are invalidated with their underlying query
+                return datastoreAdapter.getEntityKindFromQuery(query.query);
+            }
+            const ancestors = getAncestorFilters(query).map(filter => ancestorToString(filter.val));
+            const pages = isPaginatedQuery(query) ? [pagesToString(query)] : [];
+            const namespace = query.namespace ? [namespaceToString(query.namespace)] : [];
+
+            if (isKindlessQuery(query)) {
+                return [kindlessToString(query.namespace), ...ancestors, ...pages, ...namespace];
+            }
+            if (isQueryPatchable(query)) {
+                // Not referenced under their Kind, the patchable queries are updated on write (see "wrapClient()")
+                return [patchToString(query.kinds[0], query.namespace), ...namespace];
+            }
+
+            // The queries returning full entities are cleared on any update, the projection queries
+            // only when one of the properties they depend on is updated.
+            let fields = [];
+            if (config.fieldLevelInvalidation) {
+                fields =
+                    query.selectVal.length > 0
+                        ? getQueryProperties(query).map(prop => fieldToString(query.kinds[0], query.namespace, prop))
+                        : [entitiesToString(query.kinds[0], query.namespace)];
+            }
+
+            if (ancestors.length === 0 && pages.length === 0 && namespace.length === 0 && fields.length === 0) {
+                return kindToString(query.kinds[0]);
+            }
+            return [
+                ...query.kinds.slice(0, 1).map(kind => kindToString(kind, query.namespace)),
+                ...fields,
+                ...ancestors,
+                ...pages,
+                ...namespace,
+            ];
+        },
+        /**
+         * Create the query of the page following the one whose "info" is passed.
+         * The "endCursor" of a cached page is the one the next page has been cached with,
+         * so a page served from the cache is followed by the next cached page.
+         *
+         * @param {any} query Datastore query of the current page
+         * @param {any} info The info returned with the current page
+         * @returns {any} the query of the next page or "null" if there are no more results
+         */
+        nextPageQuery(query, info) {
+            if (!info || !info.endCursor || info.moreResults === ds.NO_MORE_RESULTS) {
+                return null;
+            }
+            const nextQuery = (query.scope || ds).createQuery(query.namespace, query.kinds);
+            // The offset has already been applied before the end cursor of the current page
+            return Object.assign(nextQuery, {
+                filters: [...query.filters],
+                orders: [...query.orders],
+                groupByVal: [...query.groupByVal],
+                selectVal: [...query.selectVal],
+                limitVal: query.limitVal,
+                endVal: query.endVal,
+            }).start(info.endCursor);
+        },
+        /**
+         * Get the entity Kinds whose queries must be cleared when entities are written.
+         * Besides the Kind of each Key (prefixed with its namespace), we return each of its
+         * ancestors (and the Key itself as an entity is part of its own ancestor queries).
+         * If the kindless queries are cached, their namespace is returned too.
+         *
+         * @param {any} keys One or multiple (array) Datastore Keys
+         * @returns {Array<string>} the entity Kinds
+         */
+        getEntityKindsFromKeys(keys) {
+            keys = arrify(keys);
+
+            const kinds = [].concat(
+                ...keys.map(key => {
+                    const ancestors = isKeyComplete(key) ? [key, ...getAncestors(key)] : getAncestors(key);
+                    return [kindToString(key.kind, key.namespace), ...ancestors.map(ancestorToString)];
+                })
+            );
+
+            if (config.cacheKindlessQueries) {
+                kinds.push(...keys.map(key => kindlessToString(key.namespace)));
+            }
+            return kinds;
+        },
+        /**
+         * Apply the entities saved and the Keys deleted to the result of a query, without running it.
+         * The entities saved are added, replaced or removed depending on the filters of the query,
+         * and are positioned by its orders (then by their Key, like the Datastore does).
+         *
+         * @param {Query} query The Datastore Query (or an object with its "namespace", "kinds", "filters" and "orders")
+         * @param {Array<any>} entities The entities of the query result
+         * @param {object} changes The entities saved ({ key, data, excludeFromIndexes }) and the Keys deleted
+         * @returns {Array<any>} the entities patched, "undefined" if the query can't be evaluated locally
+         */
+        patchQueryResult(query, entities, { saved = [], deleted = [] }) {
+            const isOfQueryKind = key =>
+                key.kind === query.kinds[0] && (key.namespace || '') === (query.namespace || '');
+            const entitiesSaved = saved.filter(({ key }) => isOfQueryKind(key));
+            if (entitiesSaved.some(({ key }) => !isKeyComplete(key))) {
+                return undefined;
+            }
+
+            const keysChanged = [...entitiesSaved.map(({ key }) => key), ...deleted.filter(isOfQueryKind)].map(key =>
+                datastoreAdapter.keyToString(key)
+            );
+
+            const compareEntities = (a, b) => {
+                const result = query.orders.reduce((acc, { name, sign }) => {
+                    if (acc !== 0) {
+                        return acc;
+                    }
+                    const compared = compareValues(a[name], b[name]);
+                    return sign === '-' && compared ? -compared : compared;
+                }, 0);
+                return result === 0 ? compareKeys(a[ds.KEY], b[ds.KEY]) : result;
+            };
+
+            return entitiesSaved.reduce((acc, entitySaved) => {
+                if (!acc) {
+                    return acc;
+                }
+                const unindexed = getUnindexedProperties(entitySaved);
+                const data = formatEntityData(entitySaved.data);
+                const isIndexed = name => typeof data[name] !== 'undefined' && unindexed.indexOf(name) < 0;
+
+                const matches =
+                    query.filters.every(
+                        ({ name, val }) =>
+                            isIndexed(name) && (Array.isArray(data[name]) ? data[name] : [data[name]]).indexOf(val) >= 0
+                    ) && query.orders.every(({ name }) => isIndexed(name));
+                if (!matches) {
+                    return acc;
+                }
+                if (query.orders.some(({ name }) => Array.isArray(data[name]))) {
+                    return undefined;
+                }
+
+                const entity = datastoreAdapter.addKeyToEntity(entitySaved.key, data);
+                const comparisons = acc.map(other => compareEntities(entity, other));
+                if (comparisons.some(compared => typeof compared === 'undefined')) {
+                    return undefined;
+                }
+                const index = comparisons.findIndex(compared => compared < 0);
+                return index < 0 ? [...acc, entity] : [...acc.slice(0, index), entity, ...acc.slice(index)];
+            }, entities.filter(entity => keysChanged.indexOf(datastoreAdapter.keyToString(entity[ds.KEY])) < 0));
+        },
+        /**
+         * Get the entity Kinds whose queries must be cleared when an entity is updated.
+         * With the "fieldLevelInvalidation" config, the projection queries of the Kind are only cleared if
+         * they depend on one of the properties changed. The queries returning full entities, the ancestors
+         * (and kindless queries) are always cleared.
+         *
+         * @param {any} key The Datastore Key of the entity updated
+         * @param {Array<string>} properties The properties changed
+         * @returns {Array<string>} the entity Kinds
+         */
+        getEntityKindsFromUpdate(key, properties) {
+            const kinds = datastoreAdapter.getEntityKindsFromKeys(key);
+            if (!config.fieldLevelInvalidation) {
+                return kinds;
+            }
+
+            const kind = kindToString(key.kind, key.namespace);
+            return [
+                entitiesToString(key.kind, key.namespace),
+                ...properties.map(prop => fieldToString(key.kind, key.namespace, prop)),
+                ...kinds.filter(k => k !== kind),
+            ];
         },
         /**
          * Add the entity Key to its data object
@@ -92,50 +692,92 @@ module.exports = ds => {
          * Convert a Google Datastore Key to a unique string id
          *
          * @param {any} key Datastore Key
+         * @param {object} options Pass "{ hash: false }" to get the raw string (or "true" to force the hash)
          * @returns  {string} a unique string representing the key
          */
-        keyToString(key) {
+        keyToString(key, options) {
             if (typeof key === 'undefined') {
                 throw new Error('Key cannot be undefined.');
             }
-            let str = key.namespace ? key.namespace + separator : '';
-            str += key.path.join(separator);
-            return str;
+            const path = [...getAncestors(key).reverse(), key].reduce(
+                (acc, pathElement) => [...acc, escapePart(pathElement.kind), idOrNameToString(pathElement)],
+                []
+            );
+            // A namespace makes the number of parts odd, that's how we tell it apart from the path
+            const str = [...(key.namespace ? [escapePart(key.namespace)] : []), ...path].join(separator);
+            return hashString(str, [key.namespace, key.kind], options);
+        },
+        /**
+         * Parse a string returned by keyToString() back into a Datastore Key.
+         * Only works with non hashed strings.
+         */
+        stringToKey(str) {
+            if (typeof str !== 'string') {
+                throw new Error(
+                    `stringToKey() expects the raw string of a Key (keyToString(key, { hash: false })), got: ${str}.`
+                );
+            }
+            const parts = str.split(separator);
+            const namespace = parts.length % 2 ? unescapePart(parts.shift()) : undefined;
+            const path = parts.map((part, i) => {
+                if (i % 2 === 0) {
+                    return unescapePart(part);
+                }
+                if (/^'.*'$/.test(part)) {
+                    return unescapePart(part.slice(1, -1));
+                }
+                if (/^\d+$/.test(part)) {
+                    return ds.int(part);
+                }
+                return part === '' ? undefined : unescapePart(part);
+            });
+            if (typeof path[path.length - 1] === 'undefined') {
+                // Incomplete key
+                path.pop();
+            }
+            return ds.key({ namespace, path });
         },
         /**
          * Convert a Google Datastore Query to a unique string id
          *
          * @param {any} query A Datastore Query object
+         * @param {object} options Pass "{ hash: false }" to get the raw string (or "true" to force the hash)
          * @returns {string} a unique string representing the query
          */
-        queryToString(query) {
+        queryToString(query, options) {
+            if (isAggregationQuery(query)) {
+                // The aggregations are serialized in JSON (self-delimited) before their underlying query
+                const aggregations = query.aggregations
+                    .map(aggregation =>
+                        JSON.stringify(typeof aggregation.toProto === 'function' ? aggregation.toProto() : aggregation)
+                    )
+                    .join(',');
+                const rawQuery = datastoreAdapter.queryToString(query.query, { hash: false });
+                const str = `__aggregate__${separator}${aggregations}${separator}${rawQuery}`;
+                return hashString(str, [query.query.namespace, query.query.kinds[0]], options);
+            }
+
             const array = [];
-            array.push(query.kinds.join(separator));
-            array.push(query.namespace);
+            const list = values => values.map(escapePart).join(',');
+
+            array.push(list(query.kinds));
+            array.push(escapePart(query.namespace || ''));
+            // The serialized values are self-delimited so they can safely be followed by ","
             array.push(
-                query.filters.reduce((acc, filter) => {
-                    let str = acc + filter.name + filter.op;
-                    // When filtering with "hancestors"
-                    // the value is a Datastore Key.
-                    // we need to parse it as well
-                    if (ds.isKey(filter.val)) {
-                        str += datastoreAdapter.keyToString(filter.val, { hash: false });
-                    } else {
-                        str += parseValue(filter.val);
-                    }
-                    return str;
-                }, '')
+                query.filters
+                    .map(filter => `${escapePart(filter.name)}:${filter.op}:${serializeValue(filter.val)}`)
+                    .join(',')
             );
 
-            array.push(query.groupByVal.join(''));
+            array.push(list(query.groupByVal));
             array.push(query.limitVal);
             array.push(query.offsetVal);
-            array.push(query.orders.reduce((acc, order) => acc + order.name + order.sign, ''));
-            array.push(query.selectVal.join(''));
-            array.push(query.startVal);
-            array.push(query.endVal);
+            array.push(query.orders.map(order => escapePart(order.name) + order.sign).join(','));
+            array.push(list(query.selectVal));
+            array.push(escapePart(query.startVal || ''));
+            array.push(escapePart(query.endVal || ''));
 
-            return array.join(separator);
+            return hashString(array.join(separator), [query.namespace, query.kinds[0]], options);
         },
         /**
          * Default handler to execute a query
@@ -146,12 +788,23 @@ module.exports = ds => {
         runQuery(query) {
             return query.run();
         },
+        /**
+         * Restore the original methods of the client wrapped with "wrapClient()"
+         *
+         * @returns the Datastore client
+         */
+        unwrapClient() {
+            const { client } = datastoreAdapter;
+            restoreClient();
+            return client;
+        },
         /**
          * Wrap the @google-cloud/datastore instance
          * to automatically manage the cache when an entity
          * is added, modified or deleted.
          *
          * @param {any} cache The NsqlCache instance
+         * @returns the wrapped client (a copy of it with the "copyClient" config)
          */
         wrapClient(cache) {
             /**
@@ -159,13 +812,368 @@ module.exports = ds => {
              * @google/datastore client methods. This layer automatically manages the cache
              * so an application can benefit from it without modifying the implementation code.
              */
+            if (datastoreAdapter.wrapped) {
+                datastoreAdapter.unwrapClient();
+            }
+
+            const client = config.copyClient ? Object.create(ds) : ds;
+
+            /**
+             * Protection against wrapping the same client twice (test suites, hot reloading...)
+             * The client wrapped by another adapter is unwrapped first, the last wrapper wins.
+             * A copy of a wrapped client starts from the original methods of the client.
+             */
+            if (hasOwn(client, wrapperSymbol)) {
+                client[wrapperSymbol].unwrapClient();
+            }
+            const inheritedWrapper = client[wrapperSymbol];
+            const originals = clientMethods.reduce(
+                (acc, method) =>
+                    Object.assign(acc, {
+                        [method]: {
+                            value: inheritedWrapper ? inheritedWrapper.originals[method].value : client[method],
+                            own: hasOwn(client, method),
+                        },
+                    }),
+                {}
+            );
+            if (inheritedWrapper) {
+                clientMethods.filter(method => typeof originals[method].value !== 'undefined').forEach(method => {
+                    client[method] = originals[method].value;
+                });
+            }
+
+            Object.defineProperty(client, wrapperSymbol, {
+                value: { originals, unwrapClient: () => datastoreAdapter.unwrapClient() },
+                configurable: true,
+            });
+
+            restoreClient = () => {
+                clientMethods.forEach(method => {
+                    if (originals[method].own) {
+                        client[method] = originals[method].value;
+                    } else {
+                        delete client[method];
+                    }
+                });
+                delete client[wrapperSymbol];
+                delete datastoreAdapter.getEntityUnWrapped;
+                delete datastoreAdapter.runQueryUnWrapped;
+                datastoreAdapter.client = ds;
+                datastoreAdapter.wrapped = false;
+                restoreClient = () => {};
+            };
+
+            datastoreAdapter.client = client;
             datastoreAdapter.wrapped = true;
 
             /**
-             * Wrap datastore.get()
+             * Tracing (see the "tracer" config and lib/tracing.js)
+             */
+            const { noSpan, startSpan, traceFetch, getKeysAttributes, getQueryAttributes } = createTracing(
+                config.tracer,
+                datastoreAdapter
+            );
+
+            /**
+             * Events (see lib/events.js)
+             */
+            const { events } = datastoreAdapter;
+            const {
+                stopwatch,
+                getEntitiesSize,
+                emitKeys,
+                emitKeysRead,
+                emitQuery,
+                emitError,
+                onCacheError,
+            } = createEvents(datastoreAdapter);
+
+            /**
+             * Run a cache operation on keys, trace it and emit its event once done
+             */
+            const timed = (event, keys, operation, data) => {
+                const elapsed = stopwatch();
+                const getAttributes = () => Object.assign(getKeysAttributes(keys), { 'nsql_cache.operation': event });
+                const spanName = event === 'prime' ? 'cache prime' : 'cache invalidate';
+                const span = keys.length > 0 ? startSpan(spanName, getAttributes) : noSpan;
+
+                return operation().then(
+                    res => {
+                        span.end();
+                        emitKeys(event, keys, Object.assign({ duration: elapsed() }, data));
+                        return res;
+                    },
+                    err => {
+                        span.end({}, err);
+                        return Promise.reject(err);
+                    }
+                );
+            };
+
+            /**
+             * The queries are only cleared with a Redis client
              */
-            const originalGet = ds.get.bind(ds);
+            const clearQueries = (keys, entityKinds) =>
+                timed(
+                    'invalidateQueries',
+                    cache.redisClient ? keys : [],
+                    () => cache.queries.clearQueriesByKind(entityKinds),
+                    { entityKinds }
+                );
+
             /**
+             * Read a query from the cache, the query is a "miss" when the fetch handler is called
+             */
+            const readQuery = (query, cacheOption, fetchHandler, getFallback = () => undefined) => {
+                const elapsed = stopwatch();
+                const lookupSpan = startSpan('cache lookup', () => getQueryAttributes(query));
+                let isMiss = false;
+
+                return cache.queries
+                    .read(query, cacheOption, (...args) => {
+                        isMiss = true;
+                        lookupSpan.end({ 'nsql_cache.hit': false });
+                        return traceFetch(() => getQueryAttributes(query), () => fetchHandler(...args));
+                    })
+                    .then(
+                        res => {
+                            lookupSpan.end({ 'nsql_cache.hit': true });
+                            emitQuery(isMiss ? 'miss' : 'hit', query, { duration: elapsed() });
+                            return res;
+                        },
+                        err => {
+                            const fallback = getFallback(err);
+                            if (fallback) {
+                                emitQuery('miss', query, { duration: elapsed() });
+                                return fallback;
+                            }
+                            lookupSpan.end({}, err);
+                            return onCacheError({ query })(err);
+                        }
+                    );
+            };
+
+            const keyId = key => cache.config.cachePrefix.keys + datastoreAdapter.keyToString(key);
+
+            /**
+             * Namespaces (see lib/namespaces.js)
+             */
+            const namespaces = createNamespaces(cache, { kinds: config.kinds, keyId, namespaceToString });
+            const { addKeysToNamespaces, removeKeysFromNamespaces } = namespaces;
+
+            /**
+             * Remove from the cache all the entities and queries of a namespace
+             * For example when a tenant is deleted or restored from a backup.
+             * This requires a Redis client.
+             *
+             * @param {string} namespace The namespace to flush
+             * @returns Promise resolving once the cache has been flushed
+             */
+            datastoreAdapter.flushNamespace = namespaces.flushNamespace;
+
+            /**
+             * Tombstones (see the "tombstones" config and lib/tombstones.js)
+             */
+            const { setTombstones, clearTombstones, removeTombstoned } = createTombstones(
+                cache,
+                datastoreAdapter,
+                config.tombstones
+            );
+
+            /**
+             * Negative cache (see the "negativeCache" config and lib/negative-cache.js)
+             */
+            const { removeMissing, setMissing, clearMissing } = createNegativeCache(cache, datastoreAdapter, {
+                config: config.negativeCache,
+                namespaces,
+            });
+
+            /**
+             * Resolve the "cache" option of a call on an Entity Kind.
+             * The option of the call site wins, then the configuration of the Kind, then the global config.
+             *
+             * @param {string} kind The Entity Kind
+             * @param {string} type "keys" or "queries"
+             * @param {object} options The options of the call
+             * @returns {object} the options with their "cache" resolved to "false", "true" or "{ ttl }"
+             */
+            const getKindCacheOptions = (kind, type, options) => {
+                if (options.cache === false || isPlainObject(options.cache)) {
+                    return options;
+                }
+
+                const kindConfig = getKindConfig(kind);
+                const kindCache = type === 'queries' && kindConfig.queries === false ? false : kindConfig.cache;
+                let cacheOn = cache.config.global !== false;
+                if (typeof options.cache !== 'undefined') {
+                    cacheOn = options.cache;
+                } else if (typeof kindCache !== 'undefined') {
+                    cacheOn = kindCache;
+                }
+
+                if (!cacheOn) {
+                    return Object.assign({}, options, { cache: false });
+                }
+                return Object.assign({}, options, {
+                    cache: typeof kindConfig.ttl !== 'undefined' ? { ttl: kindConfig.ttl } : true,
+                });
+            };
+
+            /**
+             * When the keys of several Kinds are read together, the cache is bypassed if one
+             * of the Kinds is not cached. Otherwise the shortest TTL applies.
+             */
+            const getKeysCacheOptions = (keys, options) => {
+                const kinds = arrify(keys)
+                    .map(key => key.kind)
+                    .filter((kind, i, arr) => arr.indexOf(kind) === i);
+                const kindsOptions = kinds.map(kind => getKindCacheOptions(kind, 'keys', options));
+                const kindsCached = kindsOptions.filter(kindOptions => isCacheOn(kindOptions, cache.config));
+                if (kindsCached.length < kindsOptions.length) {
+                    return Object.assign({}, options, { cache: false });
+                }
+
+                const ttl = kindOptions => {
+                    const { cache: cacheOption } = kindOptions;
+                    if (isPlainObject(cacheOption) && typeof cacheOption.ttl === 'number') {
+                        return cacheOption.ttl;
+                    }
+                    return Number.MAX_SAFE_INTEGER;
+                };
+                const withTTL = kindsCached.filter(kindOptions => isPlainObject(kindOptions.cache));
+
+                return withTTL.sort((a, b) => ttl(a) - ttl(b))[0] || kindsCached[0] || options;
+            };
+
+            const getQueryCacheOptions = (query, options) =>
+                getKindCacheOptions(
+                    isAggregationQuery(query) ? query.query.kinds[0] : query.kinds[0],
+                    'queries',
+                    options
+                );
+
+            /**
+             * Pagination
+             * Each page of a logical query is cached with the cursor where the previous page ended.
+             * When the first page is fetched again from the Datastore, the pages cached after it might
+             * come from another run of the query (with other cursors), so we clear all its pages.
+             */
+            const clearPagesOnFirstPage = query => {
+                if (!isPaginatedQuery(query) || query.startVal) {
+                    return Promise.resolve();
+                }
+                return cache.queries.clearQueriesByKind(pagesToString(query));
+            };
+
+            /**
+             * Request coalescing
+             * Concurrent cache misses for the same key or query (same string id) share
+             * one in-flight call to the Datastore and its result (or error).
+             */
+            const inFlight = new Map();
+
+            const singleFlight = (id, fetchHandler) => {
+                if (!inFlight.has(id)) {
+                    const onDone = () => inFlight.delete(id);
+                    inFlight.set(
+                        id,
+                        fetchHandler().then(
+                            res => {
+                                onDone();
+                                return res;
+                            },
+                            err => {
+                                onDone();
+                                return Promise.reject(err);
+                            }
+                        )
+                    );
+                }
+                return inFlight.get(id);
+            };
+
+            const queryId = query => cache.config.cachePrefix.queries + datastoreAdapter.queryToString(query);
+
+            /**
+             * Only the reads with the same read options (consistency, wrapNumbers, gaxOptions...) share their call
+             */
+            const readOptionsId = options => {
+                const clientOptions = toClientOptions(options);
+                const sorted = Object.keys(clientOptions)
+                    .sort()
+                    .reduce((acc, option) => Object.assign(acc, { [option]: clientOptions[option] }), {});
+                return separator + JSON.stringify(sorted);
+            };
+
+            const queryRunId = (query, options) => queryId(query) + readOptionsId(options);
+
+            /**
+             * Fetch the entities from the Datastore with the unwrapped "datastore.get()"
+             */
+            const originalGet = client.get.bind(client);
+
+            const fetchEntities = (keys, ...args) =>
+                removeMissing(arrify(keys))
+                    .then(keysToFetch => {
+                        if (keysToFetch.length === 0) {
+                            return Array.isArray(keys) ? [] : undefined;
+                        }
+                        // The Datastore returns the same shape (single entity or Array) as the keys passed
+                        return originalGet(Array.isArray(keys) ? keysToFetch : keysToFetch[0], ...args).then(
+                            ([entities]) => setMissing(keysToFetch, arrify(entities)).then(() => entities)
+                        );
+                    })
+                    .then(entities => removeTombstoned(entities));
+
+            const getEntities = (keys, ...args) => {
+                const isMultiple = Array.isArray(keys);
+                keys = arrify(keys);
+
+                // Each key is deduplicated on its own (for the same read options),
+                // the keys not already in flight are fetched in one batch
+                const optionsId = readOptionsId(isPlainObject(args[0]) ? args[0] : {});
+                const ids = keys.map(key => keyId(key) + optionsId);
+                const keysToFetch = keys.filter((key, i) => !inFlight.has(ids[i]) && ids.indexOf(ids[i]) === i);
+
+                if (keysToFetch.length > 0) {
+                    const batch = fetchEntities(keysToFetch, ...args).then(arrify);
+                    keysToFetch.map(keyId).forEach(id => {
+                        singleFlight(id + optionsId, () =>
+                            batch.then(entities => entities.find(entity => entity && keyId(entity[ds.KEY]) === id))
+                        );
+                    });
+                }
+
+                return Promise.all(ids.map(id => inFlight.get(id))).then(
+                    entities => (isMultiple ? entities.filter(entity => entity !== undefined) : entities[0])
+                );
+            };
+
+            /**
+             * Stale-while-revalidate (see the "staleWhileRevalidate" config and lib/stale-while-revalidate.js)
+             */
+            const staleWhileRevalidate = createStaleWhileRevalidate(cache, datastoreAdapter, {
+                config: config.staleWhileRevalidate,
+                namespaces,
+                keyId,
+                emitError,
+            });
+            const { setStaleEntities, clearStaleEntities, withStaleEntities, onRefreshError } = staleWhileRevalidate;
+
+            /**
+             * Query patching (see the "patchQueries" rule of the kinds config and lib/query-patching.js)
+             */
+            const { registerPatchableQuery, patchQueries } = createQueryPatching(cache, datastoreAdapter, {
+                isKindPatched: kind => getKindConfig(kind).patchQueries === true,
+                isQueryPatchable,
+                queryId,
+                patchToString,
+            });
+
+            /**
+             * Wrap datastore.get()
+             *
              * We keep a reference to the "unwrapped" client method to fetch an entity
              * This allows gstore-cache to support both scenario
              *
@@ -177,98 +1185,763 @@ module.exports = ds => {
              * gsCache.read(key) -> datastore.get(key) -> gsCache.read(key) -> originalClient.get(key)
              * we add the reference to the unWrapped method (see keys.js fetchHandler creation)
              * gsCache.read(key) -> gsCache.db.getEntityUnwrapped(key)
+             *
+             * The entities fetched are added to the Set of their namespace. Through the wrapped
+             * "datastore.get()" this is done along with the prime of the cache, with the "cache"
+             * option of the call (see "client.get()" below).
              */
-            datastoreAdapter.getEntityUnWrapped = (...args) => originalGet(...args).then(([entities]) => entities);
+            datastoreAdapter.getEntityUnWrapped = (keys, ...args) =>
+                getEntities(keys, ...args).then(entities =>
+                    addKeysToNamespaces(getKeysFound(arrify(entities), datastoreAdapter)).then(() => entities)
+                );
 
-            ds.get = (keys, options = {}) => {
+            client.get = (keys, options = {}) => {
+                options = getKeysCacheOptions(keys, options);
+                const clientOptions = toClientOptions(options);
                 if (!isCacheOn(options, cache.config)) {
-                    return originalGet(keys);
+                    return originalGet(keys, clientOptions);
                 }
-                return cache.keys.read(keys, options.cache, datastoreAdapter.getEntityUnWrapped);
+
+                const elapsed = stopwatch();
+                const lookupSpan = startSpan('cache lookup', () => getKeysAttributes(arrify(keys)));
+                // The keys not found in the cache are passed to the fetch handler
+                let keysFetched = [];
+                let entitiesFetched = [];
+                // The fetch handler does not wait for the entities fetched to be added to the Set
+                // of their namespace: the call to Redis is sent along with the prime of nsql-cache
+                let namespacesAdded = Promise.resolve();
+                const trackFetch = fetchHandler => (_keys, ...args) => {
+                    keysFetched = arrify(_keys);
+                    lookupSpan.end({ 'nsql_cache.keys_from_cache': arrify(keys).length - keysFetched.length });
+                    return traceFetch(
+                        () => getKeysAttributes(keysFetched),
+                        () => fetchHandler(_keys, ...args),
+                        entities => ({ 'nsql_cache.keys_found': arrify(entities).filter(isEntity).length })
+                    ).then(entities => {
+                        entitiesFetched = arrify(entities);
+                        namespacesAdded = addKeysToNamespaces(
+                            getKeysFound(entitiesFetched, datastoreAdapter),
+                            options.cache
+                        );
+                        return entities;
+                    });
+                };
+                const waitNamespaces = read =>
+                    read.then(
+                        res => namespacesAdded.then(() => res),
+                        err => namespacesAdded.then(() => Promise.reject(err), () => Promise.reject(err))
+                    );
+                const onRead = res => {
+                    lookupSpan.end({ 'nsql_cache.keys_from_cache': arrify(keys).length });
+                    emitKeysRead(arrify(keys), keysFetched, entitiesFetched, elapsed());
+                    return res;
+                };
+                const onError = err => {
+                    lookupSpan.end({}, err);
+                    return onCacheError({ keys })(err);
+                };
+
+                if (!config.staleWhileRevalidate) {
+                    return waitNamespaces(
+                        cache.keys.read(keys, options.cache, trackFetch(_keys => getEntities(_keys, clientOptions)))
+                    ).then(onRead, onError);
+                }
+
+                let staleEntities;
+                const onStale = _staleEntities => {
+                    staleEntities = _staleEntities;
+                };
+
+                return waitNamespaces(
+                    cache.keys.read(
+                        keys,
+                        options.cache,
+                        trackFetch(_keys =>
+                            staleWhileRevalidate.fetchEntities(
+                                () => getEntities(_keys, clientOptions),
+                                _keys,
+                                options.cache,
+                                onStale
+                            )
+                        )
+                    )
+                )
+                    .catch(err => {
+                        if (!staleEntities) {
+                            throw err;
+                        }
+                        onRefreshError(err, { keys: staleEntities.map(entity => entity[ds.KEY]) });
+                        return withStaleEntities(keys, staleEntities);
+                    })
+                    .then(onRead, onError);
             };
 
             /**
              * Wrap datastore.createQuery()
              */
-            const { createQuery } = ds;
-            ds.createQuery = (...args) => {
-                const query = createQuery.call(ds, ...args);
+            const { createQuery } = client;
+            client.createQuery = (...args) => {
+                const query = createQuery.call(client, ...args);
                 // Keep a ref to the original "query.run()" method
                 const originalRun = query.run.bind(query);
-                datastoreAdapter.runQueryUnWrapped = originalRun;
+                /**
+                 * The Datastore client runs the query by streaming its results through
+                 * "datastore.runQueryStream()", which is wrapped below.
+                 * We turn off the cache on that call so the query is not cached twice.
+                 */
+                const runUnWrapped = (options = {}) => originalRun(Object.assign({}, options, { cache: false }));
+                datastoreAdapter.runQueryUnWrapped = runUnWrapped;
                 query.run = (options = {}) => {
-                    if (!isCacheOn(options, cache.config)) {
-                        return originalRun(options);
+                    options = getQueryCacheOptions(query, options);
+                    if (!isCacheOn(options, cache.config) || !isQueryCacheable(query)) {
+                        return runUnWrapped(options);
+                    }
+                    const fetchQuery = () =>
+                        singleFlight(queryRunId(query, options), () =>
+                            runUnWrapped(options).then(result =>
+                                Promise.all([clearPagesOnFirstPage(query), registerPatchableQuery(query)]).then(
+                                    () => result
+                                )
+                            )
+                        );
+
+                    if (!config.staleWhileRevalidate) {
+                        return readQuery(query, options.cache, fetchQuery);
                     }
-                    return cache.queries.read(query, options.cache, () => originalRun(options));
+
+                    let staleResult;
+                    const fetchQueryOrStale = () =>
+                        staleWhileRevalidate.fetchQuery(fetchQuery, query, options.cache, stale => {
+                            staleResult = stale;
+                        });
+
+                    return readQuery(query, options.cache, fetchQueryOrStale, err => {
+                        if (staleResult) {
+                            onRefreshError(err, { query });
+                        }
+                        return staleResult;
+                    });
                 };
                 return query;
             };
 
             /**
-             * Wrap datastore.save()
+             * Wrap datastore.runQueryStream()
+             * As "query.runStream()" calls this method on the Datastore client, it is wrapped too.
+             *
+             * On a cache hit, the cached entities are replayed in an object mode stream.
+             * Otherwise the entities are collected while they are streamed from the Datastore
+             * and the cache is primed once the stream has ended (without error).
+             */
+            const originalRunQueryStream = client.runQueryStream.bind(client);
+            client.runQueryStream = (query, options = {}) => {
+                options = getQueryCacheOptions(query, options);
+                if (!isCacheOn(options, cache.config) || !isQueryCacheable(query)) {
+                    return originalRunQueryStream(query, toClientOptions(options));
+                }
+
+                const stream = new PassThrough({ objectMode: true });
+
+                const elapsed = stopwatch();
+                const lookupSpan = startSpan('cache lookup', () => getQueryAttributes(query));
+                let fetchSpan = noSpan;
+                const onStreamError = err => {
+                    lookupSpan.end({}, err);
+                    fetchSpan.end({}, err);
+                    emitError(err, { query });
+                    stream.destroy(err);
+                };
+
+                const replayCache = ([entities, info]) => {
+                    lookupSpan.end({ 'nsql_cache.hit': true });
+                    emitQuery('hit', query, { duration: elapsed() });
+                    // Like the Datastore client, the "info" is emitted once all the entities have been read
+                    stream.prependOnceListener('end', () => stream.emit('info', info));
+                    entities.forEach(entity => stream.write(entity));
+                    stream.end();
+                };
+
+                const teeDatastore = () => {
+                    const entities = [];
+                    let info;
+
+                    lookupSpan.end({ 'nsql_cache.hit': false });
+                    fetchSpan = startSpan('datastore fetch', () => getQueryAttributes(query));
+
+                    originalRunQueryStream(query, toClientOptions(options))
+                        .on('error', onStreamError)
+                        .on('info', _info => {
+                            info = _info;
+                            stream.emit('info', info);
+                        })
+                        .on('data', entity => entities.push(entity))
+                        .on('end', () => {
+                            fetchSpan.end();
+                            Promise.all([clearPagesOnFirstPage(query), registerPatchableQuery(query)])
+                                .then(() => cache.queries.set(query, [entities, info], options.cache))
+                                .then(() => {
+                                    emitQuery('miss', query, { duration: elapsed() });
+                                    stream.end();
+                                }, onStreamError);
+                        })
+                        .pipe(
+                            stream,
+                            { end: false }
+                        );
+                };
+
+                cache.queries
+                    .get(query)
+                    .then(cached => (cached ? replayCache(cached) : teeDatastore()))
+                    .catch(onStreamError);
+
+                return stream;
+            };
+
+            /**
+             * Wrap datastore.runAggregationQuery() (only available on newer versions of @google-cloud/datastore)
+             * As "aggregateQuery.run()" calls this method on the Datastore client, the aggregation queries
+             * created with "datastore.createAggregationQuery()" are cached too.
+             * They are cached like the queries, under the Kind of their underlying query.
+             */
+            if (typeof client.runAggregationQuery === 'function') {
+                const originalRunAggregationQuery = client.runAggregationQuery.bind(client);
+                client.runAggregationQuery = (aggregateQuery, options = {}, cb) => {
+                    if (typeof options === 'function' || typeof cb === 'function') {
+                        return originalRunAggregationQuery(aggregateQuery, options, cb);
+                    }
+                    options = getQueryCacheOptions(aggregateQuery, options);
+                    if (!isCacheOn(options, cache.config) || !isQueryCacheable(aggregateQuery)) {
+                        return originalRunAggregationQuery(aggregateQuery, toClientOptions(options));
+                    }
+                    return readQuery(aggregateQuery, options.cache, () =>
+                        singleFlight(queryRunId(aggregateQuery, options), () =>
+                            originalRunAggregationQuery(aggregateQuery, toClientOptions(options))
+                        )
+                    );
+                };
+            }
+
+            /**
+             * Depending on the client version, the incomplete keys saved might not have been
+             * completed with the id allocated by the Datastore. We read it from the commit
+             * response "mutationResults" (one result per entity saved, in the same order).
+             */
+            const completeKey = (key, mutationResult) => {
+                if (isKeyComplete(key) || !mutationResult || !mutationResult.key) {
+                    return key;
+                }
+                const { path } = mutationResult.key;
+                const { idType, [idType]: id } = path[path.length - 1];
+                const parentPath = key.parent ? key.parent.path : [];
+
+                return ds.key({
+                    namespace: key.namespace,
+                    path: [...parentPath, key.kind, idType === 'id' ? ds.int(id) : id],
+                });
+            };
+
+            /**
+             * Cache handlers called once entities have been written to the Datastore.
+             * They are shared between the wrapped client methods and the transactions.
              *
              * When we save an entity, we need to
              * - prime the cache with the entity data just saved
+             *   (or remove the entity from the cache if its Kind "onWrite" policy is "invalidate")
              * - clear all queries linked to the Entity Kind just saved
              */
-            const originalSave = ds.save.bind(ds);
-            ds.save = (entities, options = {}) =>
-                originalSave(entities, options).then(res => {
-                    if (!isCacheOn(options, cache.config)) {
-                        return res;
-                    }
+            const isKindCacheOn = (kind, options) =>
+                isCacheOn(getKindCacheOptions(kind, 'keys', options), cache.config);
 
-                    let keysValues;
-                    const isMultiple = Array.isArray(entities);
-                    if (isMultiple) {
-                        keysValues = [].concat(...entities.map(({ key, data }) => [key, data]));
-                    }
+            /**
+             * Field level invalidation
+             * The entities updated are compared with their version in the cache (read before it is primed)
+             * to only clear the projection queries depending on the properties changed. If the entity is not
+             * in the cache or is inserted, all the queries of its Kind are cleared.
+             */
+            const getKindsToClear = entities => {
+                const getAllKinds = () => datastoreAdapter.getEntityKindsFromKeys(entities.map(({ key }) => key));
+                const entitiesUpdated = entities.filter(({ key, method }) => isKeyComplete(key) && method !== 'insert');
+
+                if (entitiesUpdated.length !== entities.length) {
+                    return Promise.resolve(getAllKinds());
+                }
+
+                return cache.keys
+                    .mget(...entitiesUpdated.map(({ key }) => key))
+                    .then(arrify)
+                    .then(previous => {
+                        if (previous.length !== entitiesUpdated.length || previous.some(entity => !entity)) {
+                            return getAllKinds();
+                        }
+                        return [].concat(
+                            ...entitiesUpdated.map(({ key, data }, i) =>
+                                datastoreAdapter.getEntityKindsFromUpdate(
+                                    key,
+                                    getChangedProperties(previous[i], formatEntityData(data))
+                                )
+                            )
+                        );
+                    });
+            };
 
+            const onEntitiesSaved = (entities, options = {}) => {
+                entities = arrify(entities).map(toEntityObject);
+
+                // The keys saved are not missing anymore, whether the cache is on or off for the write
+                const keysComplete = entities.map(({ key }) => key).filter(isKeyComplete);
+                entities = entities.filter(({ key }) => isKindCacheOn(key.kind, options));
+
+                if (entities.length === 0) {
+                    return clearMissing(keysComplete).catch(onCacheError({ keys: keysComplete }));
+                }
+
+                // An incomplete Key can't be converted to a unique string, we don't prime the cache with it.
+                // The entities are primed per Kind, as each Kind can have its own TTL.
+                const entitiesByKind = entities
+                    .filter(({ key }) => isPrimedOnWrite(key))
+                    .reduce((acc, { key, data }) => {
+                        const entity = Object.assign(formatEntityData(data), { [ds.KEY]: key });
+                        acc[key.kind] = [...(acc[key.kind] || []), entity];
+                        return acc;
+                    }, {});
+
+                const primeKind = kind => {
+                    const cacheOption = getKindCacheOptions(kind, 'keys', options).cache;
+                    const keysValues = [].concat(
+                        ...entitiesByKind[kind].map(entity => {
+                            const data = Object.assign({}, entity);
+                            delete data[ds.KEY];
+                            return [entity[ds.KEY], data];
+                        })
+                    );
+                    const keysPrimed = entitiesByKind[kind].map(entity => entity[ds.KEY]);
                     return Promise.all([
-                        isMultiple
-                            ? cache.keys.mset(...keysValues, options.cache)
-                            : cache.keys.set(entities.key, entities.data, options.cache),
-                        isMultiple
-                            ? cache.queries.clearQueriesByKind(entities.map(({ key }) => key.kind))
-                            : cache.queries.clearQueriesByKind(entities.key.kind),
-                    ]).then(() => res);
+                        timed(
+                            'prime',
+                            keysPrimed,
+                            () =>
+                                Promise.all([
+                                    cache.keys.mset(...keysValues, cacheOption),
+                                    setStaleEntities(entitiesByKind[kind], cacheOption),
+                                ]),
+                            { bytes: events.listenerCount('prime') > 0 ? getEntitiesSize(entitiesByKind[kind]) : 0 }
+                        ),
+                        addKeysToNamespaces(keysPrimed, cacheOption),
+                    ]);
+                };
+
+                const keysSaved = entities.map(({ key }) => key).filter(isKeyComplete);
+                const keysInvalidated = keysSaved.filter(key => !isPrimedOnWrite(key));
+
+                const updateCache = kindsToClear =>
+                    Promise.all([
+                        ...Object.keys(entitiesByKind).map(primeKind),
+                        keysInvalidated.length
+                            ? timed('invalidateKeys', keysInvalidated, () => cache.keys.del(...keysInvalidated))
+                            : undefined,
+                        clearStaleEntities(keysInvalidated),
+                        keysSaved.length ? clearTombstones(keysSaved) : undefined,
+                        clearMissing(keysComplete),
+                        removeKeysFromNamespaces(keysInvalidated),
+                        clearQueries(entities.map(({ key }) => key), kindsToClear),
+                        patchQueries({ saved: entities, deleted: [] }),
+                    ]);
+                const onError = onCacheError({ keys: entities.map(({ key }) => key) });
+
+                if (!config.fieldLevelInvalidation) {
+                    return updateCache(datastoreAdapter.getEntityKindsFromKeys(entities.map(({ key }) => key))).catch(
+                        onError
+                    );
+                }
+                // The entities previously cached must be read before the cache is primed with the new ones
+                return getKindsToClear(entities)
+                    .then(updateCache)
+                    .catch(onError);
+            };
+
+            /**
+             * When we delete an entity, we need to
+             * - delete the cache for that entity
+             * - clear all queries linked to the Entity Kind just deleted
+             */
+            const onKeysDeleted = (keys, options = {}) => {
+                keys = arrify(keys).filter(key => isKindCacheOn(key.kind, options));
+
+                if (keys.length === 0) {
+                    return Promise.resolve();
+                }
+
+                return Promise.all([
+                    timed('invalidateKeys', keys, () => cache.keys.del(...keys)),
+                    clearStaleEntities(keys),
+                    removeKeysFromNamespaces(keys),
+                    clearQueries(keys, datastoreAdapter.getEntityKindsFromKeys(keys)),
+                    patchQueries({ saved: [], deleted: keys }),
+                ]).catch(onCacheError({ keys }));
+            };
+
+            /**
+             * Wrap datastore.save()
+             */
+            const originalSave = client.save.bind(client);
+            client.save = (entities, options = {}) =>
+                originalSave(entities, options).then(res => {
+                    const { mutationResults = [] } = (res && res[0]) || {};
+                    const entitiesSaved = arrify(entities)
+                        .map(toEntityObject)
+                        .map((entity, i) =>
+                            Object.assign({}, entity, { key: completeKey(entity.key, mutationResults[i]) })
+                        );
+                    return onEntitiesSaved(entitiesSaved, options).then(() => res);
                 });
 
-            ds.update = (entities, options) => {
-                entities = arrify(entities);
-                return ds.save(entities.map(e => Object.assign({}, e, { method: 'update' })), options);
+            client.update = (entities, options) => {
+                entities = arrify(entities).map(toEntityObject);
+                return client.save(entities.map(e => Object.assign({}, e, { method: 'update' })), options);
             };
 
-            ds.insert = (entities, options) => {
-                entities = arrify(entities);
-                return ds.save(entities.map(e => Object.assign({}, e, { method: 'insert' })), options);
+            client.insert = (entities, options) => {
+                entities = arrify(entities).map(toEntityObject);
+                return client.save(entities.map(e => Object.assign({}, e, { method: 'insert' })), options);
             };
 
-            ds.upsert = (entities, options) => {
-                entities = arrify(entities);
-                return ds.save(entities.map(e => Object.assign({}, e, { method: 'upsert' })), options);
+            client.upsert = (entities, options) => {
+                entities = arrify(entities).map(toEntityObject);
+                return client.save(entities.map(e => Object.assign({}, e, { method: 'upsert' })), options);
             };
 
             /**
              * Wrap datastore.delete()
-             * When we delete an entity, we need to
-             * - delete the cache for that entity
-             * - clear all queries linked to the Entity Kind just deleted
              */
-            const originalDelete = ds.delete.bind(ds);
-            ds.delete = keys =>
-                originalDelete(keys).then(res => {
-                    const isMultiple = Array.isArray(keys);
+            const originalDelete = client.delete.bind(client);
+            client.delete = (keys, options = {}) => {
+                const clientOptions = toClientOptions(options);
+                const { tombstone } = options;
+
+                if (tombstone && !config.tombstones) {
+                    const err = new Error('The "tombstone" option requires the "tombstones" adapter config.');
+                    err.code = 'ERR_TOMBSTONES_OFF';
+                    return Promise.reject(err);
+                }
+
+                if (!arrify(keys).some(key => isKindCacheOn(key.kind, options))) {
+                    return originalDelete(keys, clientOptions);
+                }
+
+                return (tombstone ? setTombstones(keys, tombstone) : Promise.resolve())
+                    .then(() => originalDelete(keys, clientOptions))
+                    .then(
+                        res => onKeysDeleted(keys, options).then(() => res),
+                        err => (tombstone ? clearTombstones(keys) : Promise.resolve()).then(() => Promise.reject(err))
+                    );
+            };
+
+            /**
+             * Wrap datastore.transaction()
+             *
+             * Reads inside a transaction always go to the Datastore to keep its isolation.
+             * Mutations are buffered and only applied to the cache once the commit() has succeeded.
+             * If the transaction is rolled back, the buffer is discarded.
+             */
+            const originalTransaction = client.transaction.bind(client);
+            client.transaction = (options = {}) => {
+                const transaction = originalTransaction(options);
+                let mutations = [];
+
+                /**
+                 * The transaction queries must be created on the transaction (and not on the
+                 * wrapped client) so they run inside of it and never read from the cache.
+                 */
+                transaction.createQuery = (...args) => createQuery.call(transaction, ...args);
+
+                /**
+                 * update(), insert() and upsert() of the transaction all call "this.save()"
+                 * so they go through this method too.
+                 */
+                const originalTransactionSave = transaction.save.bind(transaction);
+                transaction.save = entities => {
+                    originalTransactionSave(entities);
+                    arrify(entities).forEach(entity =>
+                        mutations.push({ method: 'save', entity: toEntityObject(entity) })
+                    );
+                };
+
+                const originalTransactionDelete = transaction.delete.bind(transaction);
+                transaction.delete = keys => {
+                    originalTransactionDelete(keys);
+                    arrify(keys).forEach(key => mutations.push({ method: 'delete', key }));
+                };
+
+                /**
+                 * Reduce the buffered mutations to the last one queued for each Key, the same way
+                 * the Datastore does when committing. Incomplete keys are never grouped together.
+                 */
+                const flushMutations = () => {
+                    const byKey = new Map();
+                    mutations.forEach((mutation, index) => {
+                        const key = mutation.method === 'save' ? mutation.entity.key : mutation.key;
+                        const id = isKeyComplete(key) ? datastoreAdapter.keyToString(key) : index;
+                        byKey.delete(id);
+                        byKey.set(id, mutation);
+                    });
+                    mutations = [];
+
+                    const lastMutations = Array.from(byKey.values());
+                    const entitiesSaved = lastMutations.filter(m => m.method === 'save').map(m => m.entity);
+                    const keysDeleted = lastMutations.filter(m => m.method === 'delete').map(m => m.key);
+
                     return Promise.all([
-                        isMultiple ? cache.keys.del(...keys) : cache.keys.del(keys),
-                        isMultiple
-                            ? cache.queries.clearQueriesByKind(keys.map(key => key.kind))
-                            : cache.queries.clearQueriesByKind(keys.kind),
-                    ]).then(() => res);
-                });
+                        entitiesSaved.length ? onEntitiesSaved(entitiesSaved, options) : undefined,
+                        keysDeleted.length ? onKeysDeleted(keysDeleted, options) : undefined,
+                    ]);
+                };
+
+                const originalCommit = transaction.commit.bind(transaction);
+                transaction.commit = (gaxOptionsOrCallback, cb) => {
+                    const callback = typeof gaxOptionsOrCallback === 'function' ? gaxOptionsOrCallback : cb;
+                    const gaxOptions = typeof gaxOptionsOrCallback === 'object' ? gaxOptionsOrCallback : {};
+
+                    const promise = originalCommit(gaxOptions).then(
+                        res => flushMutations().then(() => res),
+                        err => {
+                            // The client has rolled back the transaction for us
+                            mutations = [];
+                            throw err;
+                        }
+                    );
+
+                    if (typeof callback !== 'function') {
+                        return promise;
+                    }
+                    return promise.then(res => callback(null, ...arrify(res)), callback);
+                };
+
+                const originalRollback = transaction.rollback.bind(transaction);
+                transaction.rollback = (...args) => {
+                    mutations = [];
+                    return originalRollback(...args);
+                };
+
+                return transaction;
+            };
+
+            /**
+             * Wrap datastore.merge() (only available on newer versions of @google-cloud/datastore)
+             *
+             * Just like the client, we read and save the entities in a transaction, but through
+             * the wrapped transaction so we have the merged entities at hand. Then, depending on
+             * the "onMerge" option, we either
+             * - "prime" (default): prime the cache with the merged entities
+             * - "evict": remove the entities from the cache
+             * In both cases the queries of the Entity Kinds merged are cleared.
+             * Only the "onMerge" and "cache" options are read, the callback of the client signature is supported.
+             */
+            if (typeof client.merge === 'function') {
+                client.merge = (entities, optionsOrCallback, cb) => {
+                    const callback = typeof optionsOrCallback === 'function' ? optionsOrCallback : cb;
+                    const options = isPlainObject(optionsOrCallback) ? optionsOrCallback : {};
+                    const writeOptions = typeof options.cache !== 'undefined' ? { cache: options.cache } : {};
+
+                    entities = arrify(entities).map(toEntityObject);
+                    const evict = options.onMerge === 'evict';
+                    const transaction = client.transaction(evict ? { cache: false } : writeOptions);
+
+                    /**
+                     * The data merged is saved to the Datastore: its values are kept untouched (ds.int(),
+                     * ds.double(), ds.geoPoint()...), only the copy primed in the cache is formatted.
+                     */
+                    const mergeEntity = entity =>
+                        transaction.get(entity.key).then(([current]) => {
+                            const { data, excludeFromIndexes } = toDataObject(entity);
+                            const merged = Object.assign({}, current, data);
+                            delete merged[ds.KEY];
+                            return Object.assign({}, entity, { method: 'upsert', data: merged, excludeFromIndexes });
+                        });
+
+                    const promise = transaction
+                        .run()
+                        .then(() => Promise.all(entities.map(mergeEntity)))
+                        .then(
+                            merged => {
+                                transaction.save(merged);
+                                // The client rolls back the transaction itself when the commit fails
+                                return transaction.commit();
+                            },
+                            err => transaction.rollback().then(() => Promise.reject(err), () => Promise.reject(err))
+                        )
+                        .then(res => {
+                            if (!evict) {
+                                return res;
+                            }
+                            return onKeysDeleted(entities.map(({ key }) => key), writeOptions).then(() => res);
+                        });
+
+                    if (typeof callback !== 'function') {
+                        return promise;
+                    }
+                    return promise.then(res => callback(null, ...arrify(res)), callback);
+                };
+            }
+
+            return client;
         },
     };
 
+    /**
+     * Convert a filter value to a canonical string, tagged with its Datastore type
+     * so that two different values can never give the same string (ex: 123 and "123").
+     * Numbers are tagged the way the Datastore client encodes them (integer or double).
+     */
+    function serializeValue(value) {
+        if (value === null || typeof value === 'undefined') {
+            return 'NULL';
+        }
+        if (typeof value === 'boolean') {
+            return `BOOL(${value})`;
+        }
+        if (typeof value === 'string') {
+            return `STR(${JSON.stringify(value)})`;
+        }
+        if (typeof value === 'number') {
+            return value % 1 === 0 ? `DS_INT(${value})` : `DS_DOUBLE(${value})`;
+        }
+        if (isInt(value)) {
+            return `DS_INT(${value.value})`;
+        }
+        if (isDouble(value)) {
+            return `DS_DOUBLE(${value.value})`;
+        }
+        if (isGeoPoint(value)) {
+            return `GEO(${value.value.latitude},${value.value.longitude})`;
+        }
+        if (value instanceof Date) {
+            return `DATE(${value.toISOString()})`;
+        }
+        if (Buffer.isBuffer(value)) {
+            return `BLOB(${value.toString('base64')})`;
+        }
+        // When filtering with "hasAncestor" or on "__key__"
+        // the value is a Datastore Key. We differentiate its ids from its names.
+        if (ds.isKey(value)) {
+            const serializePathElement = ({ kind, id, name }) =>
+                `${JSON.stringify(kind)}:${
+                    typeof name !== 'undefined' ? `NAME(${JSON.stringify(name)})` : `ID(${id})`
+                }`;
+            const path = [...getAncestors(value).reverse(), value].map(serializePathElement);
+
+            return `KEY(${JSON.stringify(value.namespace || '')},${path.join(',')})`;
+        }
+        if (Array.isArray(value)) {
+            return `ARRAY(${value.map(serializeValue).join(',')})`;
+        }
+        // Embedded entity, its properties are sorted as their order doesn't matter
+        return `ENTITY(${Object.keys(value)
+            .sort()
+            .map(prop => `${JSON.stringify(prop)}:${serializeValue(value[prop])}`)
+            .join(',')})`;
+    }
+
+    /**
+     * Name under which the queries filtered by an ancestor are referenced in nsql-cache (see "clearQueriesByKind()").
+     * The Kinds starting with "__" are reserved by the Datastore so it can't collide with an Entity Kind.
+     */
+    function ancestorToString(key) {
+        return `__ancestor__${separator}${datastoreAdapter.keyToString(key)}`;
+    }
+
+    /**
+     * Name under which all the pages of a logical query (the query without its cursors and offset)
+     * are referenced in nsql-cache, so they are invalidated together.
+     */
+    function pagesToString(query) {
+        const logicalQuery = Object.assign({}, query, { startVal: null, endVal: null, offsetVal: -1 });
+        return `__pages__${separator}${datastoreAdapter.queryToString(logicalQuery, { hash: true })}`;
+    }
+
+    /**
+     * Name under which the queries of a Kind depending on a property are referenced in nsql-cache.
+     */
+    function fieldToString(kind, namespace, prop) {
+        return `__field__${separator}${kindToString(kind, namespace)}${separator}${escapePart(prop)}`;
+    }
+
+    /**
+     * Name under which the queries of a Kind returning full entities are referenced in nsql-cache.
+     */
+    function entitiesToString(kind, namespace) {
+        return `__entities__${separator}${kindToString(kind, namespace)}`;
+    }
+
+    /**
+     * Name under which the patchable queries of a Kind are referenced in nsql-cache.
+     */
+    function patchToString(kind, namespace) {
+        return `__patch__${separator}${kindToString(kind, namespace)}`;
+    }
+
+    /**
+     * Name under which the queries of a Kind are referenced in nsql-cache.
+     * Kinds of the default namespace are not prefixed.
+     */
+    function kindToString(kind, namespace) {
+        return namespace ? escapePart(namespace) + separator + escapePart(kind) : escapePart(kind);
+    }
+
+    /**
+     * Name under which all the queries of a namespace are referenced in nsql-cache.
+     */
+    function namespaceToString(namespace) {
+        return `__ns__${separator}${escapePart(namespace)}`;
+    }
+
+    /**
+     * Name under which the kindless and metadata queries of a namespace are referenced in nsql-cache.
+     */
+    function kindlessToString(namespace) {
+        return `__kindless__${separator}${escapePart(namespace || '')}`;
+    }
+
+    /**
+     * nsql-cache replaces "keyToString()" and "queryToString()" with a one argument function that hashes
+     * their result (its "hashCacheKeys" config). We keep our functions so that the "hash" option passed to
+     * them always wins, and we don't let nsql-cache hash a second time the strings hashed by the adapter.
+     */
+    const keepToStringOptions = name => {
+        const toString = datastoreAdapter[name];
+        let cacheToString;
+
+        Object.defineProperty(datastoreAdapter, name, {
+            enumerable: true,
+            configurable: true,
+            get: () => {
+                if (!cacheToString) {
+                    return toString;
+                }
+                return (value, options = {}) => {
+                    if (typeof options.hash !== 'undefined') {
+                        return toString(value, options);
+                    }
+                    return cacheToString(value);
+                };
+            },
+            set: fn => {
+                cacheToString = config.hash ? undefined : fn;
+            },
+        });
+    };
+    keepToStringOptions('keyToString');
+    keepToStringOptions('queryToString');
+
+    /**
+     * Metrics collected from the events of the wrapped client (see lib/metrics.js)
+     */
+    if (config.metrics) {
+        datastoreAdapter.metrics = createMetrics(
+            datastoreAdapter.events,
+            isPlainObject(config.metrics) ? config.metrics : {}
+        );
+    }
+
     return datastoreAdapter;
 };
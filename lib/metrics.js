@@ -0,0 +1,308 @@
+'use strict';
+
+/* eslint-disable no-param-reassign */
+
+/**
+ * |-----------------------------------------------------|
+ * |                                                     |
+ * |      METRICS of the wrapped Datastore client        |
+ * |                                                     |
+ * |-----------------------------------------------------|
+ *
+ * Listens to the events of the wrapped client (see "datastoreAdapter.events") and keeps, per Kind
+ * and namespace, counters and latency histograms. They can be rendered in the Prometheus text
+ * exposition format or as a JSON snapshot.
+ */
+
+const defaultConfig = {
+    /**
+     * Prefix of the Prometheus metric names
+     */
+    prefix: 'nsql_cache_datastore',
+    /**
+     * Upper bounds (in seconds) of the latency histogram buckets
+     */
+    buckets: [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5],
+};
+
+/**
+ * Result label of the read events
+ */
+const readResults = { hit: 'hit', miss: 'miss', partialHit: 'partial_hit' };
+
+/**
+ * Operation label of the events timed
+ */
+const operations = {
+    prime: 'prime',
+    invalidateKeys: 'invalidate_keys',
+    invalidateQueries: 'invalidate_queries',
+};
+
+const flatten = arrays => [].concat(...arrays);
+
+const escapeLabelValue = value =>
+    String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/"/g, '\\"')
+        .replace(/\n/g, '\\n');
+
+const labelsToString = labels =>
+    `{${Object.keys(labels)
+        .map(name => `${name}="${escapeLabelValue(labels[name])}"`)
+        .join(',')}}`;
+
+module.exports = (events, config = {}) => {
+    config = Object.assign({}, defaultConfig, config);
+
+    let kinds = {};
+
+    const createKindMetrics = (kind, namespace) => ({
+        kind,
+        namespace,
+        reads: { keys: { hit: 0, miss: 0, partial_hit: 0 }, queries: { hit: 0, miss: 0 } },
+        keys: { hit: 0, miss: 0 },
+        datastoreFallbacks: { keys: 0, queries: 0 },
+        invalidations: { keys: 0, queries: 0 },
+        bytesStored: 0,
+        latency: {},
+    });
+
+    const getKindMetrics = ({ kind = '', namespace = '' }) => {
+        const id = JSON.stringify([namespace, kind]);
+        kinds[id] = kinds[id] || createKindMetrics(kind, namespace);
+        return kinds[id];
+    };
+
+    /**
+     * Add a duration (ms) to the latency histogram of an operation. The buckets are cumulative.
+     */
+    const observe = (metrics, operation, duration) => {
+        const seconds = duration / 1000;
+        const histogram = metrics.latency[operation] || { count: 0, sum: 0, buckets: config.buckets.map(() => 0) };
+
+        histogram.count += 1;
+        histogram.sum += seconds;
+        config.buckets.forEach((le, i) => {
+            if (seconds <= le) {
+                histogram.buckets[i] += 1;
+            }
+        });
+        metrics.latency[operation] = histogram;
+    };
+
+    /**
+     * Ratio of the keys and queries read from the cache, "null" before the first read
+     */
+    const getHitRatio = metrics => {
+        const hits = metrics.keys.hit + metrics.reads.queries.hit;
+        const total = hits + metrics.keys.miss + metrics.reads.queries.miss;
+        return total > 0 ? hits / total : null;
+    };
+
+    const onRead = event => payload => {
+        const metrics = getKindMetrics(payload);
+        const type = payload.query ? 'queries' : 'keys';
+
+        metrics.reads[type][readResults[event]] += 1;
+        if (event !== 'hit') {
+            metrics.datastoreFallbacks[type] += 1;
+        }
+        if (type === 'keys') {
+            metrics.keys.hit += payload.hits;
+            metrics.keys.miss += payload.misses;
+            metrics.bytesStored += payload.bytes || 0;
+        }
+        observe(metrics, type === 'keys' ? 'get' : 'query', payload.duration);
+    };
+
+    const listeners = {
+        hit: onRead('hit'),
+        miss: onRead('miss'),
+        partialHit: onRead('partialHit'),
+        prime: payload => {
+            const metrics = getKindMetrics(payload);
+            metrics.bytesStored += payload.bytes || 0;
+            observe(metrics, operations.prime, payload.duration);
+        },
+        invalidateKeys: payload => {
+            const metrics = getKindMetrics(payload);
+            metrics.invalidations.keys += payload.keys.length;
+            observe(metrics, operations.invalidateKeys, payload.duration);
+        },
+        invalidateQueries: payload => {
+            const metrics = getKindMetrics(payload);
+            metrics.invalidations.queries += 1;
+            observe(metrics, operations.invalidateQueries, payload.duration);
+        },
+    };
+
+    Object.keys(listeners).forEach(event => events.on(event, listeners[event]));
+
+    const getAllMetrics = () => Object.keys(kinds).map(id => kinds[id]);
+
+    /**
+     * Snapshot of the metrics, one object per Kind (and namespace)
+     *
+     * @returns {Array<object>} the metrics of each Kind
+     */
+    const toJSON = () =>
+        getAllMetrics().map(metrics =>
+            Object.assign(JSON.parse(JSON.stringify(metrics)), {
+                hitRatio: getHitRatio(metrics),
+                latency: Object.keys(metrics.latency).reduce((acc, operation) => {
+                    const { count, sum, buckets } = metrics.latency[operation];
+                    acc[operation] = {
+                        count,
+                        sum,
+                        buckets: config.buckets.map((le, i) => ({ le, count: buckets[i] })),
+                    };
+                    return acc;
+                }, {}),
+            })
+        );
+
+    /**
+     * Render the metrics in the Prometheus text exposition format
+     *
+     * @returns {string} the metrics
+     */
+    const toPrometheus = () => {
+        const all = getAllMetrics();
+        const labels = (metrics, extra) => Object.assign({ kind: metrics.kind, namespace: metrics.namespace }, extra);
+
+        const family = (name, type, help, samples) => {
+            if (samples.length === 0) {
+                return [];
+            }
+            const metricName = `${config.prefix}_${name}`;
+            return [
+                `# HELP ${metricName} ${help}`,
+                `# TYPE ${metricName} ${type}`,
+                ...samples.map(
+                    ([suffix, sampleLabels, value]) => `${metricName}${suffix}${labelsToString(sampleLabels)} ${value}`
+                ),
+            ];
+        };
+
+        const lines = [
+            ...family(
+                'reads_total',
+                'counter',
+                'Reads of the wrapped client (get and queries) by result.',
+                flatten(
+                    all.map(metrics =>
+                        flatten(
+                            Object.keys(metrics.reads).map(type =>
+                                Object.keys(metrics.reads[type]).map(result => [
+                                    '',
+                                    labels(metrics, { type, result }),
+                                    metrics.reads[type][result],
+                                ])
+                            )
+                        )
+                    )
+                )
+            ),
+            ...family(
+                'keys_total',
+                'counter',
+                'Keys read with get() by result.',
+                flatten(
+                    all.map(metrics =>
+                        Object.keys(metrics.keys).map(result => ['', labels(metrics, { result }), metrics.keys[result]])
+                    )
+                )
+            ),
+            ...family(
+                'hit_ratio',
+                'gauge',
+                'Ratio of the keys and queries read from the cache.',
+                all
+                    .filter(metrics => getHitRatio(metrics) !== null)
+                    .map(metrics => ['', labels(metrics), getHitRatio(metrics)])
+            ),
+            ...family(
+                'datastore_fallbacks_total',
+                'counter',
+                'Reads that had to fetch (some of) their result from the Datastore.',
+                flatten(
+                    all.map(metrics =>
+                        Object.keys(metrics.datastoreFallbacks).map(type => [
+                            '',
+                            labels(metrics, { type }),
+                            metrics.datastoreFallbacks[type],
+                        ])
+                    )
+                )
+            ),
+            ...family(
+                'invalidations_total',
+                'counter',
+                'Keys removed from the cache and clears of the queries on write.',
+                flatten(
+                    all.map(metrics =>
+                        Object.keys(metrics.invalidations).map(type => [
+                            '',
+                            labels(metrics, { type }),
+                            metrics.invalidations[type],
+                        ])
+                    )
+                )
+            ),
+            ...family(
+                'entity_bytes_stored_total',
+                'counter',
+                'Bytes (JSON) of the entities stored in the cache.',
+                all.map(metrics => ['', labels(metrics), metrics.bytesStored])
+            ),
+            ...family(
+                'operation_duration_seconds',
+                'histogram',
+                'Duration of the cache operations.',
+                flatten(
+                    all.map(metrics =>
+                        flatten(
+                            Object.keys(metrics.latency).map(operation => {
+                                const { count, sum, buckets } = metrics.latency[operation];
+                                return [
+                                    ...config.buckets.map((le, i) => [
+                                        '_bucket',
+                                        labels(metrics, { operation, le }),
+                                        buckets[i],
+                                    ]),
+                                    ['_bucket', labels(metrics, { operation, le: '+Inf' }), count],
+                                    ['_sum', labels(metrics, { operation }), sum],
+                                    ['_count', labels(metrics, { operation }), count],
+                                ];
+                            })
+                        )
+                    )
+                )
+            ),
+        ];
+
+        return lines.length ? `${lines.join('\n')}\n` : '';
+    };
+
+    /**
+     * Remove all the metrics collected
+     */
+    const reset = () => {
+        kinds = {};
+    };
+
+    /**
+     * Stop listening to the events of the wrapped client
+     */
+    const stop = () => {
+        Object.keys(listeners).forEach(event => events.removeListener(event, listeners[event]));
+    };
+
+    return {
+        toJSON,
+        toPrometheus,
+        reset,
+        stop,
+    };
+};
@@ -0,0 +1,153 @@
+'use strict';
+
+/**
+ * |-----------------------------------------------------|
+ * |                                                     |
+ * |      NAMESPACES of the cached entities              |
+ * |                                                     |
+ * |-----------------------------------------------------|
+ *
+ * When a Redis client is present, the cache keys of the namespaced entities are added
+ * to a Redis "Set" of their namespace. Along with the queries referenced under each namespace
+ * (see "getEntityKindFromQuery()"), this allows us to flush all the cache of a namespace.
+ * The Set expires with the longest TTL of the keys it references and the keys deleted
+ * from the cache are removed from it, so it does not grow between two flushes.
+ */
+
+const scripts = require('./scripts');
+const { isPlainObject } = require('./utils');
+
+const maxTTL = ttls => (ttls.some(ttl => !ttl) ? 0 : Math.max(...ttls));
+
+/**
+ * @param {NsqlCache} cache The nsql-cache instance
+ * @param {object} options
+ * @param {object} options.kinds The configuration of the Kinds (see the "kinds" config of the adapter)
+ * @param {Function} options.keyId Convert a Key to the cache key of its entity
+ * @param {Function} options.namespaceToString Name under which the queries of a namespace are referenced
+ */
+module.exports = (cache, { kinds, keyId, namespaceToString }) => {
+    const namespaceKeysSet = namespace => `${cache.config.cachePrefix.keys}${namespaceToString(namespace)}`;
+
+    /**
+     * TTL (seconds) in Redis of the keys or queries cached with a "cache" option, "0" if they never expire
+     */
+    const getRedisTTL = (type, cacheOption) => {
+        const ttl = isPlainObject(cacheOption) ? cacheOption.ttl : undefined;
+        const redisTTL = isPlainObject(ttl) ? ttl.redis : ttl;
+        if (redisTTL) {
+            return redisTTL;
+        }
+        return cache.stores.length > 1 ? cache.config.ttl.redis[type] : cache.config.ttl[type];
+    };
+
+    /**
+     * The TTL of the namespace Sets: the longest TTL of the keys, from the cache config,
+     * the configuration of the Kinds and the "cache" option of the call
+     */
+    const getNamespaceTTL = cacheOption =>
+        maxTTL([
+            getRedisTTL('keys', cacheOption),
+            getRedisTTL('keys'),
+            ...Object.keys(kinds)
+                .filter(kind => typeof kinds[kind].ttl !== 'undefined')
+                .map(kind => getRedisTTL('keys', { ttl: kinds[kind].ttl })),
+        ]);
+
+    const groupByNamespace = (keys, toCacheKey) =>
+        keys.filter(key => key.namespace).reduce((acc, key) => {
+            acc[key.namespace] = [...(acc[key.namespace] || []), toCacheKey(key)];
+            return acc;
+        }, {});
+
+    /**
+     * Add the cache keys of entities to the Set of their namespace
+     *
+     * @param {Array<Key>} keys The Datastore Keys of the entities
+     * @param {number} ttl The TTL (seconds) of the cache keys, "0" if they never expire
+     * @param {Function} toCacheKey Convert a Key to the cache key added (the entity, its stale copy...)
+     */
+    const addToNamespaces = (keys, ttl, toCacheKey = keyId) => {
+        const keysByNamespace = groupByNamespace(keys, toCacheKey);
+        const namespaces = Object.keys(keysByNamespace);
+
+        if (!cache.redisClient || namespaces.length === 0) {
+            return Promise.resolve();
+        }
+
+        return Promise.all(
+            namespaces.map(
+                namespace =>
+                    new Promise((resolve, reject) => {
+                        cache.redisClient.eval(
+                            scripts.addToSet,
+                            1,
+                            namespaceKeysSet(namespace),
+                            ttl,
+                            ...keysByNamespace[namespace],
+                            err => (err ? reject(err) : resolve())
+                        );
+                    })
+            )
+        );
+    };
+
+    const removeFromNamespaces = (keys, toCacheKey = keyId) => {
+        const keysByNamespace = groupByNamespace(keys, toCacheKey);
+        const namespaces = Object.keys(keysByNamespace);
+
+        if (!cache.redisClient || namespaces.length === 0) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve, reject) => {
+            cache.redisClient
+                .multi(
+                    namespaces.map(namespace => ['srem', namespaceKeysSet(namespace), ...keysByNamespace[namespace]])
+                )
+                .exec(err => (err ? reject(err) : resolve()));
+        });
+    };
+
+    const addKeysToNamespaces = (keys, cacheOption) => addToNamespaces(keys, getNamespaceTTL(cacheOption));
+
+    const removeKeysFromNamespaces = keys => removeFromNamespaces(keys);
+
+    /**
+     * Remove from the cache all the entities and queries of a namespace
+     * For example when a tenant is deleted or restored from a backup.
+     * This requires a Redis client.
+     *
+     * @param {string} namespace The namespace to flush
+     * @returns Promise resolving once the cache has been flushed
+     */
+    const flushNamespace = namespace => {
+        if (!cache.redisClient) {
+            const err = new Error('No Redis Client found.');
+            err.code = 'ERR_NO_REDIS';
+            return Promise.reject(err);
+        }
+
+        const keysSet = namespaceKeysSet(namespace);
+
+        return new Promise((resolve, reject) => {
+            cache.redisClient
+                .multi([['smembers', keysSet], ['del', keysSet]])
+                .exec((err, replies) => (err ? reject(err) : resolve(replies[0] || [])));
+        }).then(keysCached =>
+            Promise.all([
+                keysCached.length ? cache.del(keysCached) : undefined,
+                cache.queries.clearQueriesByKind(namespaceToString(namespace)),
+            ])
+        );
+    };
+
+    return {
+        getNamespaceTTL,
+        addToNamespaces,
+        removeFromNamespaces,
+        addKeysToNamespaces,
+        removeKeysFromNamespaces,
+        flushNamespace,
+    };
+};
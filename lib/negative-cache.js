@@ -0,0 +1,76 @@
+'use strict';
+
+/**
+ * |-----------------------------------------------------|
+ * |                                                     |
+ * |      NEGATIVE CACHE of the missing keys             |
+ * |                                                     |
+ * |-----------------------------------------------------|
+ *
+ * When enabled, the keys not found in the Datastore are flagged as missing in the cache
+ * (for a short TTL) so the next lookups return "undefined" without hitting the Datastore.
+ * The flag is removed as soon as an entity is saved with the key (even with the cache off for
+ * the write). The flags of the namespaced keys are tracked in the Set of their namespace.
+ */
+
+const { isPlainObject, getKeysFound, getFlags } = require('./utils');
+
+const defaultConfig = {
+    /**
+     * TTL (in seconds) of the markers of the missing keys. Keep it short as an entity can be
+     * created by another process than the one that cached the marker.
+     */
+    ttl: 60,
+};
+
+/**
+ * @param {NsqlCache} cache The nsql-cache instance
+ * @param {object} datastoreAdapter The adapter (to convert the Keys to strings)
+ * @param {object} options
+ * @param {boolean|object} options.config The "negativeCache" config of the adapter
+ * @param {object} options.namespaces The namespaces Sets (see lib/namespaces.js)
+ */
+module.exports = (cache, datastoreAdapter, { config, namespaces }) => {
+    const { ttl } = Object.assign({}, defaultConfig, isPlainObject(config) ? config : {});
+
+    const missingKey = key => `${cache.config.cachePrefix.keys}missing:${datastoreAdapter.keyToString(key)}`;
+
+    /**
+     * Filter out the keys flagged as missing
+     */
+    const removeMissing = keys => {
+        if (!config || keys.length === 0) {
+            return Promise.resolve(keys);
+        }
+        return getFlags(cache, keys.map(missingKey)).then(flags => keys.filter((key, i) => !flags[i]));
+    };
+
+    /**
+     * Flag the keys fetched that are not found in the entities returned by the Datastore
+     */
+    const setMissing = (keys, entities) => {
+        if (!config) {
+            return Promise.resolve();
+        }
+        const keysFound = getKeysFound(entities, datastoreAdapter).map(key => datastoreAdapter.keyToString(key));
+        const keysMissing = keys.filter(key => keysFound.indexOf(datastoreAdapter.keyToString(key)) < 0);
+
+        return Promise.all([
+            ...keysMissing.map(key => cache.set(missingKey(key), true, { ttl })),
+            namespaces.addToNamespaces(keysMissing, ttl, missingKey),
+        ]);
+    };
+
+    const clearMissing = keys => {
+        if (!config || keys.length === 0) {
+            return Promise.resolve();
+        }
+        return Promise.all([cache.del(keys.map(missingKey)), namespaces.removeFromNamespaces(keys, missingKey)]);
+    };
+
+    return {
+        removeMissing,
+        setMissing,
+        clearMissing,
+    };
+};
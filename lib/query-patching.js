@@ -0,0 +1,141 @@
+'use strict';
+
+/**
+ * |-----------------------------------------------------|
+ * |                                                     |
+ * |      QUERY PATCHING on write                        |
+ * |                                                     |
+ * |-----------------------------------------------------|
+ *
+ * See the "patchQueries" rule of the "kinds" config of the adapter.
+ * The patchable queries are referenced in a Redis "Set" of their own instead of their Kind one.
+ * Their predicates are kept in a Redis "Hash" when they are cached, so that on write, the entities
+ * saved and deleted can be applied to their result in place (keeping its TTL).
+ * A query is removed from the cache when it can't be patched: unknown predicates, values that
+ * can't be compared locally or a concurrent write of its result.
+ */
+
+const scripts = require('./scripts');
+const { separator, marshalKeys, unMarshalKeys } = require('./utils');
+
+/**
+ * @param {NsqlCache} cache The nsql-cache instance
+ * @param {object} datastoreAdapter The adapter (to patch the query results)
+ * @param {object} options
+ * @param {Function} options.isKindPatched Check if the "patchQueries" rule is set for a Kind
+ * @param {Function} options.isQueryPatchable Check if the result of a query can be patched
+ * @param {Function} options.queryId Convert a query to its cache key
+ * @param {Function} options.patchToString Name under which the patchable queries of a Kind are referenced
+ */
+module.exports = (cache, datastoreAdapter, { isKindPatched, isQueryPatchable, queryId, patchToString }) => {
+    const patchSetKey = (kind, namespace) => cache.config.cachePrefix.queries + patchToString(kind, namespace);
+
+    const predicatesKey = (kind, namespace) => `${patchSetKey(kind, namespace)}${separator}predicates`;
+
+    const redisMulti = commands =>
+        new Promise((resolve, reject) => {
+            cache.redisClient.multi(commands).exec((err, replies) => (err ? reject(err) : resolve(replies)));
+        });
+
+    /**
+     * Keep the predicates of a patchable query when it is fetched from the Datastore
+     */
+    const registerPatchableQuery = query => {
+        if (!cache.redisClient || !isQueryPatchable(query)) {
+            return Promise.resolve();
+        }
+        const { namespace, kinds, filters, orders } = query;
+        return redisMulti([
+            [
+                'hset',
+                predicatesKey(kinds[0], namespace),
+                queryId(query),
+                JSON.stringify({ namespace, kinds, filters, orders }),
+            ],
+        ]);
+    };
+
+    const patchQueriesOfKind = ({ kind, namespace }, changes) => {
+        const setKey = patchSetKey(kind, namespace);
+        const hashKey = predicatesKey(kind, namespace);
+
+        const removeQuery = queryKey =>
+            Promise.all([
+                redisMulti([['del', queryKey], ['srem', setKey, queryKey], ['hdel', hashKey, queryKey]]),
+                cache.cacheManagerNoRedis ? cache.cacheManagerNoRedis.del(queryKey) : undefined,
+            ]);
+
+        const patchQuery = (queryKey, cached, predicates) => {
+            if (cached === null) {
+                // Expired, the query is not patched anymore
+                return redisMulti([['srem', setKey, queryKey], ['hdel', hashKey, queryKey]]);
+            }
+            const [entities, info] = JSON.parse(cached);
+            if (!predicates) {
+                return removeQuery(queryKey);
+            }
+            const patched = datastoreAdapter.patchQueryResult(
+                JSON.parse(predicates),
+                unMarshalKeys(entities, datastoreAdapter),
+                changes
+            );
+            if (!patched) {
+                return removeQuery(queryKey);
+            }
+
+            const value = JSON.stringify([marshalKeys(patched, datastoreAdapter), info]);
+            return new Promise((resolve, reject) => {
+                cache.redisClient.eval(
+                    scripts.compareAndSet,
+                    1,
+                    queryKey,
+                    cached,
+                    value,
+                    (err, updated) => (err ? reject(err) : resolve(updated))
+                );
+            }).then(updated => {
+                if (!updated) {
+                    return removeQuery(queryKey);
+                }
+                // The other stores read the query again from Redis
+                return cache.cacheManagerNoRedis ? cache.cacheManagerNoRedis.del(queryKey) : undefined;
+            });
+        };
+
+        return redisMulti([['smembers', setKey], ['hgetall', hashKey]]).then(([queryKeys, predicates]) => {
+            if (!queryKeys || queryKeys.length === 0) {
+                return undefined;
+            }
+            return redisMulti(queryKeys.map(queryKey => ['get', queryKey])).then(values =>
+                Promise.all(
+                    queryKeys.map((queryKey, i) => patchQuery(queryKey, values[i], (predicates || {})[queryKey]))
+                )
+            );
+        });
+    };
+
+    /**
+     * Apply the entities saved and the Keys deleted to the cached result of the patchable queries
+     *
+     * @param {object} changes The entities saved ({ key, data, excludeFromIndexes }) and the Keys deleted
+     */
+    const patchQueries = changes => {
+        const keys = [...changes.saved.map(({ key }) => key), ...changes.deleted].filter(key =>
+            isKindPatched(key.kind)
+        );
+        if (!cache.redisClient || keys.length === 0) {
+            return Promise.resolve();
+        }
+
+        const kinds = keys.reduce((acc, { kind, namespace }) => {
+            acc[patchToString(kind, namespace)] = { kind, namespace };
+            return acc;
+        }, {});
+        return Promise.all(Object.keys(kinds).map(patchKind => patchQueriesOfKind(kinds[patchKind], changes)));
+    };
+
+    return {
+        registerPatchableQuery,
+        patchQueries,
+    };
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+/**
+ * Redis (Lua) scripts run by the adapter
+ */
+
+/**
+ * Replace the value of a key only if it has not changed since it was read, keeping its TTL
+ */
+const compareAndSet = `
+if redis.call('get', KEYS[1]) ~= ARGV[1] then
+    return 0
+end
+local ttl = redis.call('pttl', KEYS[1])
+if ttl > 0 then
+    redis.call('set', KEYS[1], ARGV[2], 'PX', ttl)
+else
+    redis.call('set', KEYS[1], ARGV[2])
+end
+return 1
+`;
+
+/**
+ * Add members to a Set and set its TTL (seconds, "0" to never expire).
+ * The TTL of the Set is only extended, never shortened, so it outlives all of its members.
+ */
+const addToSet = `
+local current = redis.call('ttl', KEYS[1])
+redis.call('sadd', KEYS[1], unpack(ARGV, 2))
+local ttl = tonumber(ARGV[1])
+if ttl <= 0 then
+    redis.call('persist', KEYS[1])
+elseif current == -2 or (current >= 0 and current < ttl) then
+    redis.call('expire', KEYS[1], ttl)
+end
+return 1
+`;
+
+module.exports = {
+    compareAndSet,
+    addToSet,
+};
@@ -0,0 +1,213 @@
+'use strict';
+
+/**
+ * |-----------------------------------------------------|
+ * |                                                     |
+ * |      STALE-WHILE-REVALIDATE copies                  |
+ * |                                                     |
+ * |-----------------------------------------------------|
+ *
+ * When enabled, a "stale" copy of the entities and queries cached is kept for a grace window
+ * after their TTL. The stale copies are only read when the Datastore call of a cache miss fails:
+ * they are then returned instead of the error, outside of the nsql-cache "read()" so they are
+ * never cached again as fresh, and the next read calls the Datastore again.
+ * The stale copies of the entities are updated (or removed) on writes. The stale copies of the
+ * queries are referenced under their Entity Kinds so they are cleared with the queries.
+ */
+
+const arrify = require('arrify');
+
+const { isPlainObject, isEntity, getFlags, marshalKeys, unMarshalKeys } = require('./utils');
+
+const defaultConfig = {
+    /**
+     * Number of seconds after their TTL during which the entities and queries can be served stale
+     */
+    grace: 60,
+    /**
+     * Function called with the error and the keys (or query) when a stale copy is returned instead of the error
+     */
+    onRefreshError: undefined,
+};
+
+/**
+ * @param {NsqlCache} cache The nsql-cache instance
+ * @param {object} datastoreAdapter The adapter (to convert the Keys and queries to strings)
+ * @param {object} options
+ * @param {boolean|object} options.config The "staleWhileRevalidate" config of the adapter
+ * @param {object} options.namespaces The namespaces Sets (see lib/namespaces.js)
+ * @param {Function} options.keyId Convert a Key to the cache key of its entity
+ * @param {Function} options.emitError Emit an "error" event (see lib/events.js)
+ */
+module.exports = (cache, datastoreAdapter, { config, namespaces, keyId, emitError }) => {
+    const swrConfig = Object.assign({}, defaultConfig, isPlainObject(config) ? config : {});
+
+    const staleKeyId = key => `${cache.config.cachePrefix.keys}stale:${datastoreAdapter.keyToString(key)}`;
+
+    const staleQueryId = query => `${cache.config.cachePrefix.queries}stale:${datastoreAdapter.queryToString(query)}`;
+
+    const getStaleTTL = (type, cacheOption, storeName) => {
+        const ttl = isPlainObject(cacheOption) ? cacheOption.ttl : undefined;
+        if (typeof ttl === 'number') {
+            return ttl + swrConfig.grace;
+        }
+        if (isPlainObject(ttl)) {
+            return ttl[storeName] + swrConfig.grace;
+        }
+        const ttlConfig = cache.stores.length > 1 ? cache.config.ttl[storeName] : cache.config.ttl;
+        return ttlConfig[type] + swrConfig.grace;
+    };
+
+    const getStaleOptions = (type, cacheOption) => ({
+        ttl:
+            cache.stores.length > 1
+                ? (data, storeName) => getStaleTTL(type, cacheOption, storeName)
+                : getStaleTTL(type, cacheOption),
+    });
+
+    const onRefreshError = (err, target) => {
+        emitError(err, target);
+        if (typeof swrConfig.onRefreshError === 'function') {
+            swrConfig.onRefreshError(err, target);
+        }
+    };
+
+    /**
+     * The stale copies of the namespaced entities are tracked in the Set of their namespace,
+     * so "flushNamespace()" removes them too and they are never served after a flush.
+     */
+    const setStaleEntities = (entities, cacheOption) => {
+        if (!config) {
+            return Promise.resolve();
+        }
+        const entitiesFound = arrify(entities).filter(isEntity);
+        const namespaceTTL = namespaces.getNamespaceTTL(cacheOption);
+
+        return Promise.all([
+            ...entitiesFound.map(entity =>
+                cache.set(
+                    staleKeyId(datastoreAdapter.getKeyFromEntity(entity)),
+                    entity,
+                    getStaleOptions('keys', cacheOption)
+                )
+            ),
+            namespaces.addToNamespaces(
+                entitiesFound.map(entity => datastoreAdapter.getKeyFromEntity(entity)),
+                namespaceTTL ? namespaceTTL + swrConfig.grace : 0,
+                staleKeyId
+            ),
+        ]);
+    };
+
+    const clearStaleEntities = keys => {
+        if (!config || keys.length === 0) {
+            return Promise.resolve();
+        }
+        return Promise.all([cache.del(keys.map(staleKeyId)), namespaces.removeFromNamespaces(keys, staleKeyId)]);
+    };
+
+    /**
+     * The stale copies of the keys, "undefined" unless all the keys have one
+     */
+    const getStaleEntities = keys =>
+        getFlags(cache, keys.map(staleKeyId)).then(staleCopies => {
+            if (keys.some((key, i) => !staleCopies[i])) {
+                return undefined;
+            }
+            return keys.map((key, i) => datastoreAdapter.addKeyToEntity(key, staleCopies[i]));
+        });
+
+    /**
+     * Fetch handler of the wrapped "datastore.get()".
+     * When the Datastore call fails, the stale copies of the keys fetched are passed to "onStale()"
+     * before the error is thrown again.
+     *
+     * @param {Function} fetch Fetch the entities from the Datastore
+     * @param {any} keys One or multiple (array) Keys fetched
+     * @param {any} cacheOption The "cache" option of the call
+     * @param {Function} onStale Called with the stale entities
+     */
+    const fetchEntities = (fetch, keys, cacheOption, onStale) =>
+        fetch().then(
+            entities => setStaleEntities(entities, cacheOption).then(() => entities),
+            err =>
+                getStaleEntities(arrify(keys)).then(
+                    staleEntities => {
+                        if (staleEntities) {
+                            onStale(staleEntities);
+                        }
+                        throw err;
+                    },
+                    () => Promise.reject(err)
+                )
+        );
+
+    /**
+     * Return the stale entities of the keys that were fetched along with the entities read from
+     * the cache, in the shape returned by "cache.keys.read()"
+     */
+    const withStaleEntities = (keys, staleEntities) => {
+        const keysFetched = arrify(keys);
+        const staleIds = staleEntities.map(entity => keyId(datastoreAdapter.getKeyFromEntity(entity)));
+        const keysCached = keysFetched.filter(key => staleIds.indexOf(keyId(key)) < 0);
+
+        return (keysCached.length ? cache.keys.mget(...keysCached) : Promise.resolve([]))
+            .then(arrify)
+            .then(entitiesCached => {
+                const entities = [...staleEntities, ...entitiesCached].filter(isEntity);
+                return keysFetched.map(
+                    key =>
+                        entities.find(entity => keyId(datastoreAdapter.getKeyFromEntity(entity)) === keyId(key)) || null
+                );
+            });
+    };
+
+    const setStaleQuery = (query, [entities, info], cacheOption) => {
+        const value = [marshalKeys(entities, datastoreAdapter), info];
+        if (cache.redisClient) {
+            return cache.queries.kset(staleQueryId(query), value, datastoreAdapter.getEntityKindFromQuery(query), {
+                ttl: getStaleTTL('queries', cacheOption, 'redis'),
+            });
+        }
+        return cache.set(staleQueryId(query), value, getStaleOptions('queries', cacheOption));
+    };
+
+    const getStaleQuery = query =>
+        cache
+            .get(staleQueryId(query))
+            .then(value => (value ? [unMarshalKeys(value[0], datastoreAdapter), value[1]] : value));
+
+    /**
+     * Fetch handler of the wrapped "query.run()".
+     * When the Datastore call fails, the stale result of the query is passed to "onStale()"
+     * before the error is thrown again.
+     *
+     * @param {Function} fetch Run the query on the Datastore
+     * @param {any} query The Datastore query
+     * @param {any} cacheOption The "cache" option of the call
+     * @param {Function} onStale Called with the stale result
+     */
+    const fetchQuery = (fetch, query, cacheOption, onStale) =>
+        fetch().then(
+            result => setStaleQuery(query, result, cacheOption).then(() => result),
+            err =>
+                getStaleQuery(query).then(
+                    staleResult => {
+                        if (staleResult) {
+                            onStale(staleResult);
+                        }
+                        throw err;
+                    },
+                    () => Promise.reject(err)
+                )
+        );
+
+    return {
+        setStaleEntities,
+        clearStaleEntities,
+        fetchEntities,
+        withStaleEntities,
+        fetchQuery,
+        onRefreshError,
+    };
+};
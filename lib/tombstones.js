@@ -0,0 +1,66 @@
+'use strict';
+
+/**
+ * |-----------------------------------------------------|
+ * |                                                     |
+ * |      TOMBSTONES of the deleted entities             |
+ * |                                                     |
+ * |-----------------------------------------------------|
+ *
+ * When deleting entities with the "tombstone" option, we record in the cache, for the
+ * number of seconds provided, that the keys have been deleted. Any entity with a tombstone
+ * fetched from the Datastore during that window is discarded so a concurrent read can't
+ * prime the cache with the entity we just deleted.
+ * This is only checked on a cache miss, just before the fetched entities are cached,
+ * when the "tombstones" config of the adapter is enabled.
+ */
+
+const arrify = require('arrify');
+
+const { isEntity, getFlags } = require('./utils');
+
+/**
+ * @param {NsqlCache} cache The nsql-cache instance
+ * @param {object} datastoreAdapter The adapter (to convert the Keys to strings)
+ * @param {boolean} enabled The "tombstones" config of the adapter
+ */
+module.exports = (cache, datastoreAdapter, enabled) => {
+    const tombstoneKey = key => `${cache.config.cachePrefix.keys}tombstone:${datastoreAdapter.keyToString(key)}`;
+
+    /**
+     * @param {Array<Key>} keys The Keys deleted
+     * @param {number} ttl The number of seconds during which the entities fetched are discarded
+     */
+    const setTombstones = (keys, ttl) =>
+        Promise.all(arrify(keys).map(key => cache.set(tombstoneKey(key), true, { ttl })));
+
+    const clearTombstones = keys => (enabled ? cache.del(arrify(keys).map(tombstoneKey)) : undefined);
+
+    /**
+     * Discard the entities fetched that have a tombstone
+     *
+     * @param {any} entities One or multiple (array) entities fetched from the Datastore
+     * @returns the entities without a tombstone, in the same shape
+     */
+    const removeTombstoned = entities => {
+        const isMultiple = Array.isArray(entities);
+        const entitiesFound = arrify(entities).filter(isEntity);
+        if (!enabled || entitiesFound.length === 0) {
+            return entities;
+        }
+
+        return getFlags(
+            cache,
+            entitiesFound.map(entity => tombstoneKey(datastoreAdapter.getKeyFromEntity(entity)))
+        ).then(tombstones => {
+            const alive = entitiesFound.filter((entity, i) => !tombstones[i]);
+            return isMultiple ? alive : alive[0];
+        });
+    };
+
+    return {
+        setTombstones,
+        clearTombstones,
+        removeTombstoned,
+    };
+};
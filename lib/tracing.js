@@ -0,0 +1,94 @@
+'use strict';
+
+/**
+ * |-----------------------------------------------------|
+ * |                                                     |
+ * |      TRACING of the wrapped Datastore client        |
+ * |                                                     |
+ * |-----------------------------------------------------|
+ *
+ * Spans of the cache operations (see the "tracer" config of the adapter).
+ * The spans are started with the tracer, without parent: the tracer decides (an OpenTelemetry
+ * tracer uses the active span of the request). A span is only ended once.
+ */
+
+const { isAggregationQuery } = require('./utils');
+
+const unique = values => values.filter((value, i) => values.indexOf(value) === i);
+
+const getKeysAttributes = keys => ({
+    'nsql_cache.kind': unique(keys.map(key => key.kind)).join(','),
+    'nsql_cache.namespace': unique(keys.map(key => key.namespace || '')).join(','),
+    'nsql_cache.keys_requested': keys.length,
+});
+
+const noSpan = { end: () => {} };
+
+module.exports = (tracer, datastoreAdapter) => {
+    const getQueryAttributes = query => {
+        const { kinds, namespace } = isAggregationQuery(query) ? query.query : query;
+        return {
+            'nsql_cache.kind': kinds[0] || '',
+            'nsql_cache.namespace': namespace || '',
+            'nsql_cache.query': datastoreAdapter.queryToString(query),
+        };
+    };
+
+    /**
+     * Start a span, its attributes are only read when there is a tracer
+     *
+     * @param {string} name The name of the span
+     * @param {Function} getAttributes Return the attributes of the span
+     * @returns {object} the span, with an "end(attributes, err)" method
+     */
+    const startSpan = (name, getAttributes) => {
+        if (!tracer) {
+            return noSpan;
+        }
+
+        const span = tracer.startSpan(name, { attributes: getAttributes() });
+        let isEnded = false;
+
+        return {
+            end(attributes = {}, err) {
+                if (isEnded) {
+                    return;
+                }
+                isEnded = true;
+                Object.keys(attributes).forEach(attribute => span.setAttribute(attribute, attributes[attribute]));
+                if (err && typeof span.recordException === 'function') {
+                    span.recordException(err);
+                }
+                if (err && typeof span.setStatus === 'function') {
+                    span.setStatus({ code: 2, message: err.message }); // 2: ERROR status code
+                }
+                span.end();
+            },
+        };
+    };
+
+    /**
+     * Trace the Datastore fetch of what was not found in the cache
+     */
+    const traceFetch = (getAttributes, fetch, getResultAttributes) => {
+        const span = startSpan('datastore fetch', getAttributes);
+        return fetch().then(
+            res => {
+                span.end(getResultAttributes ? getResultAttributes(res) : {});
+                return res;
+            },
+            err => {
+                span.end({}, err);
+                return Promise.reject(err);
+            }
+        );
+    };
+
+    return {
+        noSpan,
+        startSpan,
+        traceFetch,
+        getKeysAttributes,
+        getQueryAttributes,
+    };
+};
@@ -0,0 +1,56 @@
+'use strict';
+
+/**
+ * Helpers shared by the adapter and the modules of its features
+ */
+
+const isPlainObject = value => value !== null && typeof value === 'object' && value.constructor === Object;
+
+/**
+ * Aggregation queries (count, sum, average) wrap a regular query
+ */
+const isAggregationQuery = query => Array.isArray(query.aggregations) && Boolean(query.query);
+
+const separator = ':%:';
+
+const isEntity = entity => entity !== undefined && entity !== null;
+
+/**
+ * The Keys of the entities found (the Datastore returns "undefined" for the keys not found)
+ */
+const getKeysFound = (entities, datastoreAdapter) =>
+    entities.filter(isEntity).map(entity => datastoreAdapter.getKeyFromEntity(entity));
+
+/**
+ * Read the flags (tombstones, missing keys, stale copies) saved in the cache
+ */
+const getFlags = (cache, cacheKeys) => {
+    if (cacheKeys.length === 1) {
+        return cache.get(cacheKeys[0]).then(value => [value]);
+    }
+    return cache.mget(...cacheKeys);
+};
+
+/**
+ * The entities of a query result are saved in JSON, their Key is kept in a "__dsKey__" property
+ */
+const marshalKeys = (entities, datastoreAdapter) =>
+    entities.map(entity => Object.assign({}, entity, { __dsKey__: datastoreAdapter.getKeyFromEntity(entity) }));
+
+const unMarshalKeys = (entities, datastoreAdapter) =>
+    entities.map(entity => {
+        const unMarshaled = datastoreAdapter.addKeyToEntity(entity.__dsKey__, entity);
+        delete unMarshaled.__dsKey__;
+        return unMarshaled;
+    });
+
+module.exports = {
+    isPlainObject,
+    isAggregationQuery,
+    separator,
+    isEntity,
+    getKeysFound,
+    getFlags,
+    marshalKeys,
+    unMarshalKeys,
+};
@@ -1,16 +1,38 @@
 'use strict';
 
+const crypto = require('crypto');
 const chai = require('chai');
-const { Datastore } = require('@google-cloud/datastore');
+const sinon = require('sinon');
+const NsqlCache = require('nsql-cache');
+const { Datastore, Transaction } = require('@google-cloud/datastore');
+
+const DatastoreAdapter = require('../lib');
+const { createTracer, createWrappedClient, createQueryStream, stubTransactionRequests } = require('./utils');
 
 const ds = new Datastore();
-const dsAdapter = require('../lib')(ds);
+const dsAdapter = DatastoreAdapter(ds);
 
-const { keyToString, queryToString } = dsAdapter;
+const { keyToString, queryToString, stringToKey } = dsAdapter;
 const { expect } = chai;
 
 const separator = ':%:';
 
+/**
+ * Aggregation query as created by "datastore.createAggregationQuery()" on newer client versions
+ */
+const createAggregationQuery = (query, ...aggregations) => ({
+    query,
+    aggregations: aggregations.map(([operator, property]) => ({
+        toProto: () => (property ? { [operator]: { property: { name: property } } } : { [operator]: {} }),
+    })),
+});
+
+const sha1 = str =>
+    crypto
+        .createHash('sha1')
+        .update(str)
+        .digest('hex');
+
 describe('Google Datastore adapter', () => {
     describe('keyToString', () => {
         const key1 = ds.key({ namespace: 'ns', path: ['User', 111] });
@@ -24,10 +46,104 @@ describe('Google Datastore adapter', () => {
             expect(str2).equal(`GranDad${separator}John${separator}Dad${separator}Mick${separator}User${separator}555`);
         });
 
+        it('should hash the string', () => {
+            const adapter = DatastoreAdapter(ds, { hash: true });
+            const str1 = adapter.keyToString(key1);
+            const str2 = adapter.keyToString(key2);
+
+            expect(str1).equal(`ns${separator}User${separator}${sha1(keyToString(key1))}`);
+            expect(str2).equal(`User${separator}${sha1(keyToString(key2))}`);
+            expect(adapter.keyToString(key1, { hash: false })).equal(keyToString(key1));
+            expect(keyToString(key1, { hash: true })).equal(str1);
+        });
+
+        it('should respect the hash configuration', () => {
+            const key = ds.key({ namespace: 'a'.repeat(300), path: ['User', 'b'.repeat(300)] });
+            const adapter1 = DatastoreAdapter(ds, { hash: { prefix: false } });
+            const adapter2 = DatastoreAdapter(ds, { hash: { algorithm: 'sha256', maxLength: 100 } });
+
+            expect(adapter1.keyToString(key)).equal(sha1(keyToString(key)));
+            expect(adapter2.keyToString(key).length).equal(100);
+            expect(adapter2.keyToString(key).startsWith('aaa')).equal(true);
+        });
+
+        it('should throw when the maxLength is shorter than the digest', () => {
+            const fn = () => DatastoreAdapter(ds, { hash: { maxLength: 10 } });
+            expect(fn).throws('Invalid "hash.maxLength": 10 is shorter than the sha1 digest (40).');
+        });
+
+        it('should keep the hash option when nsql-cache hashes the keys', () => {
+            const adapter1 = DatastoreAdapter(new Datastore());
+            const adapter2 = DatastoreAdapter(new Datastore(), { hash: true });
+            const cache1 = new NsqlCache({ db: adapter1 });
+            new NsqlCache({ db: adapter2 }); // eslint-disable-line no-new
+            const str = adapter1.keyToString(key1, { hash: false });
+
+            expect(str).equal(keyToString(key1));
+            expect(keyToString(adapter1.stringToKey(str))).equal(str);
+            expect(adapter1.keyToString(key1)).equal(cache1.utils.string.hash(keyToString(key1)));
+            expect(adapter2.keyToString(key1)).equal(keyToString(key1, { hash: true }));
+        });
+
         it('should throw an error if no Key passed', () => {
             const fn = () => keyToString();
             expect(fn).throws('Key cannot be undefined.');
         });
+
+        it('should never give the same string for different Keys', () => {
+            const keys = [
+                ds.key(['User', 123]),
+                ds.key(['User', '123']),
+                ds.key(['User', "'123'"]),
+                ds.key(['User', 'a:%:b']),
+                ds.key(['User', 'a', 'b', 'c']),
+                ds.key(['User:%:a', 'b']),
+                ds.key({ namespace: 'User', path: ['a', 'b'] }),
+                ds.key(['User', 'a', 'b']),
+                ds.key({ namespace: 'a:%:b', path: ['User', 1] }),
+                ds.key({ namespace: 'a', path: ['b', 'User', 1] }),
+                ds.key(['User']),
+            ];
+            const strings = keys.map(key => keyToString(key));
+
+            expect(new Set(strings).size).equal(keys.length);
+        });
+    });
+
+    describe('stringToKey()', () => {
+        it('should convert the string back to a Key', () => {
+            const keys = [
+                ds.key({ namespace: 'ns', path: ['User', 111] }),
+                ds.key(['GranDad', 'John', 'Dad', 'Mick', 'User', 555]),
+                ds.key(['User', '123']),
+                ds.key(['User', "'abc'"]),
+                ds.key(['User', '%3A']),
+                ds.key({ namespace: 'a:%:b', path: ['User:%:', 'c,d:%:'] }),
+                ds.key({ namespace: 'ns', path: ['User'] }),
+            ];
+
+            keys.forEach(key => {
+                const parsed = stringToKey(keyToString(key));
+
+                expect(keyToString(parsed)).equal(keyToString(key));
+                expect(parsed.namespace).equal(key.namespace);
+                expect(parsed.name).equal(key.name);
+            });
+        });
+
+        it('should keep the ids as Datastore integers', () => {
+            const key = stringToKey(keyToString(ds.key(['User', '9007199254740993'])));
+            const keyId = stringToKey(`User${separator}9007199254740993`);
+
+            expect(key.name).equal('9007199254740993');
+            expect(keyId.name).equal(undefined);
+            expect(keyId.id).equal('9007199254740993');
+        });
+
+        it('should throw a clear error when the value is not a string', () => {
+            const fn = () => stringToKey(123);
+            expect(fn).throws('stringToKey() expects the raw string of a Key');
+        });
     });
 
     describe('dsQueryToString', () => {
@@ -62,16 +178,1478 @@ describe('Google Datastore adapter', () => {
             const str3 = queryToString(q3, { hash: false });
 
             expect(str1).equal(
-                `Company${separator}com.domain.dev${separator}name=Sympresafield1<123field2>789age>DS_INT(18)__key__HAS_ANCESTORParent${separator}123${separator}field1field2${separator}10${separator}5${separator}size-${separator}namesize${separator}X${separator}Y` // eslint-disable-line
+                `Company${separator}com.domain.dev${separator}name:=:STR("Sympresa"),field1:<:DS_INT(123),field2:>:DS_INT(789),age:>:DS_INT(18),__key__:HAS_ANCESTOR:KEY("","Parent":ID(123))${separator}field1,field2${separator}10${separator}5${separator}size-${separator}name,size${separator}X${separator}Y` // eslint-disable-line
             );
             expect(str2).equal(
-                `User${separator + separator}name=john${separator +
+                `User${separator + separator}name:=:STR("john")${separator +
                     separator}-1${separator}-1${separator}phone+${separator + separator + separator}`
             );
             expect(str3).equal(
-                `Task${separator + separator}__key__>Task${separator}someTask${separator +
+                `Task${separator + separator}__key__:>:KEY("","Task":NAME("someTask"))${separator +
                     separator}-1${separator}-1${separator + separator}__key__${separator + separator}`
             );
         });
+        it('should hash the string', () => {
+            const adapter = DatastoreAdapter(ds, { hash: true });
+
+            expect(adapter.queryToString(q1)).equal(
+                `com.domain.dev${separator}Company${separator}${sha1(queryToString(q1, { hash: false }))}`
+            );
+            expect(adapter.queryToString(q1, { hash: false })).equal(queryToString(q1));
+        });
+
+        it('should never give the same string for different filter values', () => {
+            const values = [
+                '123',
+                123,
+                ds.int(124),
+                ds.double(123),
+                1.5,
+                true,
+                'true',
+                null,
+                'null',
+                new Date(0),
+                new Date(1),
+                new Date(0).toString(),
+                ds.geoPoint({ latitude: 1, longitude: 2 }),
+                ds.geoPoint({ latitude: 2, longitude: 1 }),
+                Buffer.from('abc'),
+                'abc',
+                ['a', 'b'],
+                ['a,b'],
+                'a,b',
+                { a: 1 },
+                { a: '1' },
+                { a: { b: 1 } },
+                '[object Object]',
+                ds.key(['User', 123]),
+                ds.key(['User', '123']),
+            ];
+            const strings = values.map(value => queryToString(ds.createQuery('User').filter('field', value)));
+
+            expect(new Set(strings).size).equal(values.length);
+        });
+
+        it('should give the same string for the same values', () => {
+            const str1 = queryToString(ds.createQuery('User').filter('field', { a: 1, b: new Date(0) }));
+            const str2 = queryToString(ds.createQuery('User').filter('field', { b: new Date(0), a: ds.int(1) }));
+
+            expect(str1).equal(str2);
+        });
+
+        it('should never give the same string for different query components', () => {
+            const queries = [
+                ds.createQuery('User').filter('a<', '=', 1),
+                ds.createQuery('User').filter('a', '<=', 1),
+                ds.createQuery('User').select(['ab']),
+                ds.createQuery('User').select(['a', 'b']),
+                ds.createQuery('User').order('a'),
+                ds.createQuery('User').order('a,b'),
+                ds
+                    .createQuery('User')
+                    .order('a')
+                    .order('b'),
+                ds.createQuery('User:%:ns'),
+                ds.createQuery('ns', 'User'),
+                ds.createQuery('User').start('a:%:b'),
+                ds
+                    .createQuery('User')
+                    .start('a')
+                    .end('b'),
+            ];
+            const strings = queries.map(query => queryToString(query));
+
+            expect(new Set(strings).size).equal(queries.length);
+        });
+    });
+
+    describe('getEntityKindFromQuery()', () => {
+        const ancestor = ds.key(['GranDad', 'John', 'Dad', 'Mick']);
+
+        it('should return the Kind of the query', () => {
+            expect(dsAdapter.getEntityKindFromQuery(ds.createQuery('User'))).equal('User');
+        });
+
+        it('should add the ancestor of the query', () => {
+            const kinds = dsAdapter.getEntityKindFromQuery(ds.createQuery('User').hasAncestor(ancestor));
+            const kindlessKinds = dsAdapter.getEntityKindFromQuery(ds.createQuery().hasAncestor(ancestor));
+
+            expect(kinds).deep.equal(['User', `__ancestor__${separator}${keyToString(ancestor)}`]);
+            expect(kindlessKinds).deep.equal([`__ancestor__${separator}${keyToString(ancestor)}`]);
+        });
+
+        it('should reference the kindless and metadata queries under their namespace', () => {
+            const kindless = dsAdapter.getEntityKindFromQuery(
+                ds.createQuery('ns', []).filter('__key__', '>', ancestor)
+            );
+            const metadata = dsAdapter.getEntityKindFromQuery(ds.createQuery('__kind__'));
+
+            expect(kindless).deep.equal([`__kindless__${separator}ns`, `__ns__${separator}ns`]);
+            expect(metadata).deep.equal([`__kindless__${separator}`]);
+        });
+    });
+
+    describe('pagination', () => {
+        const createQuery = () =>
+            ds
+                .createQuery('User')
+                .filter('age', '>', 18)
+                .limit(10);
+
+        it('should reference all the pages of a query under the same name', () => {
+            const [, pages1] = dsAdapter.getEntityKindFromQuery(createQuery());
+            const [, pages2] = dsAdapter.getEntityKindFromQuery(createQuery().start('abc'));
+
+            expect(pages1.startsWith(`__pages__${separator}User${separator}`)).equal(true);
+            expect(pages2).equal(pages1);
+            expect(dsAdapter.getEntityKindFromQuery(ds.createQuery('User'))).equal('User');
+        });
+
+        it('should create the query of the next page', () => {
+            const query = createQuery().offset(5);
+            const nextQuery = dsAdapter.nextPageQuery(query, {
+                endCursor: 'abc',
+                moreResults: ds.MORE_RESULTS_AFTER_LIMIT,
+            });
+
+            expect(queryToString(nextQuery)).equal(queryToString(createQuery().start('abc')));
+            expect(query.startVal).equal(null);
+            expect(dsAdapter.nextPageQuery(query, { endCursor: 'abc', moreResults: ds.NO_MORE_RESULTS })).equal(null);
+        });
+    });
+
+    describe('aggregation queries', () => {
+        const query = ds.createQuery('ns', 'User').filter('age', '>', 18);
+
+        it('should give a different string per aggregation', () => {
+            const strings = [
+                queryToString(query),
+                queryToString(createAggregationQuery(query, ['count'])),
+                queryToString(createAggregationQuery(query, ['sum', 'age'])),
+                queryToString(createAggregationQuery(query, ['avg', 'age'])),
+                queryToString(createAggregationQuery(query, ['count'], ['sum', 'age'])),
+            ];
+
+            expect(new Set(strings).size).equal(strings.length);
+            expect(strings[1]).equal(queryToString(createAggregationQuery(query, ['count'])));
+        });
+
+        it('should be referenced under the Kind of the underlying query', () => {
+            const aggregateQuery = createAggregationQuery(query, ['count']);
+
+            expect(dsAdapter.getEntityKindFromQuery(aggregateQuery)).deep.equal(
+                dsAdapter.getEntityKindFromQuery(query)
+            );
+        });
+    });
+
+    describe('getEntityKindsFromKeys()', () => {
+        it('should prefix the Kind with the namespace', () => {
+            const key = ds.key({ namespace: 'ns', path: ['User', 555] });
+            const [kind] = dsAdapter.getEntityKindsFromKeys(key);
+            const kindsFromQuery = dsAdapter.getEntityKindFromQuery(ds.createQuery('ns', 'User'));
+
+            expect(kind).equal(`ns${separator}User`);
+            expect(kindsFromQuery).deep.equal([`ns${separator}User`, `__ns__${separator}ns`]);
+        });
+
+        it('should return the Kind and the ancestors of the Keys', () => {
+            const key1 = ds.key(['GranDad', 'John', 'Dad', 'Mick', 'User', 555]);
+            const key2 = ds.key(['Dad', 'Mick', 'User']);
+
+            expect(dsAdapter.getEntityKindsFromKeys([key1, key2])).deep.equal([
+                'User',
+                `__ancestor__${separator}${keyToString(key1)}`,
+                `__ancestor__${separator}${keyToString(key1.parent)}`,
+                `__ancestor__${separator}${keyToString(key1.parent.parent)}`,
+                'User',
+                `__ancestor__${separator}${keyToString(key2.parent)}`,
+            ]);
+        });
+
+        it('should add the namespace when the kindless queries are cached', () => {
+            const key = ds.key({ namespace: 'ns', path: ['User', 555] });
+            const adapter = DatastoreAdapter(ds, { cacheKindlessQueries: true });
+
+            expect(dsAdapter.getEntityKindsFromKeys(key)).not.contain(`__kindless__${separator}ns`);
+            expect(adapter.getEntityKindsFromKeys(key)).contain(`__kindless__${separator}ns`);
+        });
+    });
+
+    describe('patchQueryResult()', () => {
+        const adapter = DatastoreAdapter(ds, { kinds: { User: { patchQueries: true } } });
+        const query = ds
+            .createQuery('User')
+            .filter('role', 'admin')
+            .order('age', { descending: true });
+        const entity = (id, data) => adapter.addKeyToEntity(ds.key(['User', id]), data);
+        const entities = [entity(1, { role: 'admin', age: 40 }), entity(2, { role: 'admin', age: 20 })];
+        const ids = result => result.map(e => e[ds.KEY].id);
+
+        it('should reference the patchable queries under their own Kind', () => {
+            expect(adapter.getEntityKindFromQuery(query)).deep.equal([`__patch__${separator}User`]);
+            expect(adapter.getEntityKindFromQuery(ds.createQuery('User').filter('age', '>', 18))).equal('User');
+            expect(adapter.getEntityKindFromQuery(ds.createQuery('User').limit(10))).contain('User');
+            expect(dsAdapter.getEntityKindFromQuery(query)).equal('User');
+        });
+
+        it('should add the entities saved matching the filters, respecting the orders', () => {
+            const saved = [
+                { key: ds.key(['User', 3]), data: { role: 'admin', age: 30 } },
+                { key: ds.key(['User', 4]), data: { role: 'admin', age: 20 } },
+                { key: ds.key(['User', 5]), data: { role: 'user', age: 50 } },
+                { key: ds.key(['User', 6]), data: { role: 'admin', age: 60 }, excludeFromIndexes: ['age'] },
+            ];
+
+            expect(ids(adapter.patchQueryResult(query, entities, { saved }))).deep.equal([1, 3, 2, 4]);
+        });
+
+        it('should replace or remove the entities updated and remove the keys deleted', () => {
+            const saved = [{ key: ds.key(['User', 1]), data: { role: 'user', age: 40 } }];
+            const updated = [{ key: ds.key(['User', 2]), data: { role: 'admin', age: 50 } }];
+
+            expect(ids(adapter.patchQueryResult(query, entities, { saved }))).deep.equal([2]);
+            expect(ids(adapter.patchQueryResult(query, entities, { saved: updated }))).deep.equal([2, 1]);
+            expect(ids(adapter.patchQueryResult(query, entities, { deleted: [ds.key(['User', 1])] }))).deep.equal([2]);
+        });
+
+        it('should not patch the result when the values can not be compared', () => {
+            const saved = [{ key: ds.key(['User', 3]), data: { role: 'admin', age: '30' } }];
+
+            expect(adapter.patchQueryResult(query, entities, { saved })).equal(undefined);
+        });
+    });
+
+    describe('wrapClient()', () => {
+        let cache;
+        let dsWrapped;
+
+        beforeEach(() => {
+            ({ client: dsWrapped, cache } = createWrappedClient());
+        });
+
+        describe('unwrapClient()', () => {
+            const key = ds.key(['User', 123]);
+            let client;
+
+            beforeEach(() => {
+                client = new Datastore();
+                sinon.stub(Datastore.prototype, 'get').resolves([{ name: 'john', [ds.KEY]: key }]);
+            });
+
+            afterEach(() => {
+                Datastore.prototype.get.restore();
+            });
+
+            it('should restore the original methods of the client', () => {
+                const adapter = DatastoreAdapter(client);
+                cache = new NsqlCache({ db: adapter });
+
+                expect(Object.prototype.hasOwnProperty.call(client, 'get')).equal(true);
+                expect(adapter.unwrapClient()).equal(client);
+                expect(adapter.wrapped).equal(false);
+                expect(adapter.getEntityUnWrapped).equal(undefined);
+                ['get', 'createQuery', 'save', 'update', 'insert', 'upsert', 'delete', 'transaction'].forEach(
+                    method => {
+                        expect(Object.prototype.hasOwnProperty.call(client, method)).equal(false);
+                    }
+                );
+            });
+
+            it('should not wrap the same client twice', () => {
+                const adapter1 = DatastoreAdapter(client);
+                const cache1 = new NsqlCache({ db: adapter1 });
+                cache = new NsqlCache({ db: DatastoreAdapter(client) });
+                sinon.spy(cache1.keys, 'read');
+                sinon.spy(cache.keys, 'read');
+
+                return client.get(key).then(() => {
+                    expect(adapter1.wrapped).equal(false);
+                    expect(cache1.keys.read.called).equal(false);
+                    expect(cache.keys.read.callCount).equal(1);
+                    expect(Datastore.prototype.get.callCount).equal(1);
+                });
+            });
+
+            it('should wrap a copy of the client', () => {
+                const adapter = DatastoreAdapter(client, { copyClient: true });
+                cache = new NsqlCache({ db: adapter });
+                sinon.spy(cache.keys, 'read');
+
+                expect(adapter.client).not.equal(client);
+                expect(Object.prototype.hasOwnProperty.call(client, 'get')).equal(false);
+
+                return client
+                    .get(key)
+                    .then(() => {
+                        expect(cache.keys.read.called).equal(false);
+                    })
+                    .then(() => adapter.client.get(key))
+                    .then(([entity]) => {
+                        expect(entity.name).equal('john');
+                        expect(cache.keys.read.callCount).equal(1);
+                        expect(adapter.unwrapClient()).not.equal(client);
+                        expect(adapter.client).equal(client);
+                    });
+            });
+        });
+
+        describe('datastore.runQueryStream()', () => {
+            const key = ds.key(['User', 123]);
+            const entity = { name: 'john', [ds.KEY]: key };
+            const info = { moreResults: 'NO_MORE_RESULTS' };
+
+            const readStream = (stream, cb) => {
+                const entities = [];
+                let infoEmitted;
+                stream
+                    .on('info', _info => {
+                        infoEmitted = _info;
+                    })
+                    .on('data', e => entities.push(e))
+                    .on('error', cb)
+                    .on('end', () => cb(null, entities, infoEmitted));
+            };
+
+            let originalRunQueryStream;
+
+            beforeEach(() => {
+                ({
+                    client: dsWrapped,
+                    cache,
+                    stubs: { runQueryStream: originalRunQueryStream },
+                } = createWrappedClient(undefined, {
+                    runQueryStream: () => createQueryStream({ entities: [entity], info }),
+                }));
+            });
+
+            it('should prime the cache once the stream has ended', done => {
+                const query = dsWrapped.createQuery('User');
+
+                readStream(query.runStream(), (err, entities, infoEmitted) => {
+                    expect(entities).deep.equal([entity]);
+                    expect(infoEmitted).equal(info);
+
+                    cache.queries.get(query).then(([cachedEntities, cachedInfo]) => {
+                        expect(cachedEntities).deep.equal([entity]);
+                        expect(cachedInfo).equal(info);
+                        done();
+                    });
+                });
+            });
+
+            it('should replay the cached entities with their Key', done => {
+                const query = dsWrapped.createQuery('User');
+
+                cache.queries.set(query, [[entity], info]).then(() => {
+                    readStream(dsWrapped.runQueryStream(query), (err, entities, infoEmitted) => {
+                        expect(entities[0]).deep.equal(entity);
+                        expect(entities[0][ds.KEY]).equal(key);
+                        expect(infoEmitted).deep.equal(info);
+                        done();
+                    });
+                });
+            });
+
+            it('should emit the "info" of the cached query after its entities', done => {
+                const query = dsWrapped.createQuery('User');
+                const events = [];
+
+                cache.queries.set(query, [[entity, entity], info]).then(() => {
+                    const stream = dsWrapped
+                        .runQueryStream(query)
+                        .on('info', () => events.push('info'))
+                        .on('end', () => {
+                            expect(events).deep.equal(['data', 'data', 'info']);
+                            done();
+                        });
+                    // The entities are read after they have been replayed
+                    setTimeout(() => stream.on('data', () => events.push('data')), 10);
+                });
+            });
+
+            it('should not cache the query.run() results twice', () => {
+                const query = dsWrapped.createQuery('User');
+                sinon.spy(cache.queries, 'set');
+
+                return query.run().then(([entities]) => {
+                    expect(entities).deep.equal([entity]);
+                    expect(cache.queries.set.called).equal(false);
+                });
+            });
+
+            it('should not cache the kindless queries', () => {
+                const query = dsWrapped.createQuery([]).filter('__key__', '>', key);
+                sinon.spy(cache.queries, 'read');
+
+                return query.run().then(() => {
+                    expect(cache.queries.read.called).equal(false);
+                });
+            });
+
+            it('should clear the cached pages when the first page is fetched again', () => {
+                const query = dsWrapped.createQuery('User').limit(1);
+                const [, pages] = cache.db.getEntityKindFromQuery(query);
+                sinon.spy(cache.queries, 'clearQueriesByKind');
+
+                return query
+                    .run()
+                    .then(() => cache.db.nextPageQuery(query, { endCursor: 'abc' }).run())
+                    .then(() => {
+                        expect(cache.queries.clearQueriesByKind.callCount).equal(1);
+                        expect(cache.queries.clearQueriesByKind.getCall(0).args[0]).equal(pages);
+                    });
+            });
+
+            it('should bypass the cache', done => {
+                const query = dsWrapped.createQuery('User');
+
+                cache.queries.set(query, [[], info]).then(() => {
+                    readStream(query.runStream({ cache: false }), (err, entities) => {
+                        expect(entities).deep.equal([entity]);
+                        expect(originalRunQueryStream.getCall(0).args[1]).not.have.property('cache');
+                        done();
+                    });
+                });
+            });
+        });
+
+        describe('datastore.save()', () => {
+            const mutationResult = id => ({ key: { path: [{ kind: 'User', id, idType: 'id' }] } });
+
+            let originalSave;
+
+            beforeEach(() => {
+                ({
+                    client: dsWrapped,
+                    cache,
+                    stubs: { save: originalSave },
+                } = createWrappedClient(undefined, {
+                    save: [{ mutationResults: [mutationResult('111'), mutationResult('222')] }],
+                }));
+            });
+
+            it('should prime the cache with the id allocated to an incomplete Key', () => {
+                const data = { name: 'john' };
+
+                return dsWrapped
+                    .save({ key: dsWrapped.key(['User']), data })
+                    .then(() => cache.keys.get(dsWrapped.key(['User', 111])))
+                    .then(cached => {
+                        expect(cached).deep.equal(data);
+                    });
+            });
+
+            it('should complete the Keys of a batch save', () => {
+                const data1 = { name: 'john' };
+                const data2 = { name: 'mick' };
+
+                return dsWrapped
+                    .save([
+                        { key: dsWrapped.key(['User']), data: data1 },
+                        { key: dsWrapped.key(['User']), data: data2 },
+                    ])
+                    .then(() => cache.keys.mget(dsWrapped.key(['User', 111]), dsWrapped.key(['User', 222])))
+                    .then(cached => {
+                        expect(cached[0]).deep.equal(data1);
+                        expect(cached[1]).deep.equal(data2);
+                    });
+            });
+
+            it('should prime the cache with the entity shape returned by datastore.get()', () => {
+                const key = dsWrapped.key(['User', 123]);
+                const createdOn = new Date();
+
+                return dsWrapped
+                    .save({
+                        key,
+                        excludeLargeProperties: true,
+                        data: [
+                            { name: 'name', value: 'john', excludeFromIndexes: true },
+                            { name: 'age', value: dsWrapped.int(30) },
+                            { name: 'createdOn', value: createdOn },
+                            {
+                                name: 'address',
+                                value: {
+                                    location: dsWrapped.geoPoint({ latitude: 40.6894, longitude: -74.0447 }),
+                                    scores: [dsWrapped.double(1.5), 2],
+                                },
+                            },
+                        ],
+                    })
+                    .then(() => cache.keys.get(key))
+                    .then(cached => {
+                        expect(cached).deep.equal({
+                            name: 'john',
+                            age: 30,
+                            createdOn,
+                            address: { location: { latitude: 40.6894, longitude: -74.0447 }, scores: [1.5, 2] },
+                        });
+                    });
+            });
+
+            it('should accept the entities returned by datastore.get()', () => {
+                const key = dsWrapped.key(['User', 123]);
+                const entity = { name: 'john', [dsWrapped.KEY]: key };
+
+                return dsWrapped
+                    .update(entity)
+                    .then(() => cache.keys.get(key))
+                    .then(cached => {
+                        expect(cached).deep.equal({ name: 'john' });
+                        expect(originalSave.getCall(0).args[0]).deep.equal([{ key, data: entity, method: 'update' }]);
+                    });
+            });
+
+            it('should remove from the cache the entities of the Kinds with the "invalidate" policy', () => {
+                const key1 = dsWrapped.key(['User', 111]);
+                const key2 = dsWrapped.key(['Post', 222]);
+                ({ client: dsWrapped, cache } = createWrappedClient(
+                    { kinds: { User: { onWrite: 'invalidate' } } },
+                    { save: [{ mutationResults: [] }] }
+                ));
+
+                return cache.keys
+                    .mset(key1, { name: 'john' }, key2, { title: 'old' })
+                    .then(() =>
+                        dsWrapped.upsert([{ key: key1, data: { name: 'mick' } }, { key: key2, data: { title: 'new' } }])
+                    )
+                    .then(() => cache.keys.mget(key1, key2))
+                    .then(cached => {
+                        expect(cached).deep.equal([undefined, { title: 'new' }]);
+                    });
+            });
+
+            it('should validate the "onWrite" policy', () => {
+                const fn = () => DatastoreAdapter(ds, { kinds: { User: { onWrite: 'evict' } } });
+                expect(fn).throws('Invalid "onWrite" policy for the Kind "User": evict.');
+            });
+        });
+
+        describe('per Kind configuration', () => {
+            const kinds = {
+                AuditLog: { cache: false },
+                Country: { ttl: 86400 },
+                Session: { queries: false },
+            };
+
+            beforeEach(() => {
+                ({ client: dsWrapped, cache } = createWrappedClient(
+                    { kinds },
+                    { get: [], save: [{ mutationResults: [] }], runQueryStream: () => createQueryStream() }
+                ));
+                sinon.spy(cache.keys, 'read');
+                sinon.spy(cache.keys, 'mset');
+                sinon.spy(cache.queries, 'read');
+            });
+
+            it('should not cache the Kinds turned off', () =>
+                dsWrapped
+                    .get(dsWrapped.key(['AuditLog', 1]))
+                    .then(() => dsWrapped.createQuery('AuditLog').run())
+                    .then(() => dsWrapped.save({ key: dsWrapped.key(['AuditLog', 1]), data: { action: 'login' } }))
+                    .then(() => {
+                        expect(cache.keys.read.called).equal(false);
+                        expect(cache.queries.read.called).equal(false);
+                        expect(cache.keys.mset.called).equal(false);
+                    }));
+
+            it('should apply the TTL of the Kind', () =>
+                dsWrapped
+                    .get(dsWrapped.key(['Country', 'fr']))
+                    .then(() => dsWrapped.save({ key: dsWrapped.key(['Country', 'es']), data: { name: 'Spain' } }))
+                    .then(() => {
+                        expect(cache.keys.read.getCall(0).args[1]).deep.include({ ttl: 86400 });
+                        expect(cache.keys.mset.getCall(0).args[2]).deep.equal({ ttl: 86400 });
+                    }));
+
+            it('should only cache the keys of a Kind', () =>
+                dsWrapped
+                    .get(dsWrapped.key(['Session', 'abc']))
+                    .then(() => dsWrapped.createQuery('Session').run())
+                    .then(() => {
+                        expect(cache.keys.read.called).equal(true);
+                        expect(cache.queries.read.called).equal(false);
+                    }));
+
+            it('should bypass the cache when reading the keys of a Kind turned off', () =>
+                dsWrapped.get([dsWrapped.key(['Country', 'fr']), dsWrapped.key(['AuditLog', 1])]).then(() => {
+                    expect(cache.keys.read.called).equal(false);
+                }));
+
+            it('should let the call site options win', () =>
+                dsWrapped
+                    .get(dsWrapped.key(['AuditLog', 1]), { cache: true })
+                    .then(() => dsWrapped.get(dsWrapped.key(['Country', 'fr']), { cache: { ttl: 10 } }))
+                    .then(() => dsWrapped.createQuery('Session').run({ cache: true }))
+                    .then(() => {
+                        expect(cache.keys.read.callCount).equal(2);
+                        expect(cache.keys.read.getCall(1).args[1]).deep.include({ ttl: 10 });
+                        expect(cache.queries.read.called).equal(true);
+                    }));
+        });
+
+        describe('negative cache', () => {
+            const key1 = ds.key(['User', 123]);
+            const key2 = ds.key(['User', 456]);
+            let originalGet;
+
+            const createCache = config => {
+                ({
+                    client: dsWrapped,
+                    cache,
+                    stubs: { get: originalGet },
+                } = createWrappedClient(config, {
+                    get: [undefined],
+                    save: [{ mutationResults: [] }],
+                }));
+            };
+
+            it('should not hit the Datastore for a key not found', () => {
+                createCache({ negativeCache: { ttl: 10 } });
+
+                return dsWrapped
+                    .get(key1)
+                    .then(() => dsWrapped.get(key1))
+                    .then(([entity]) => {
+                        expect(entity).equal(undefined);
+                        expect(originalGet.callCount).equal(1);
+                    });
+            });
+
+            it('should only fetch the keys that are not flagged as missing', () => {
+                createCache({ negativeCache: true });
+                originalGet.onCall(1).resolves([[{ name: 'john', [ds.KEY]: key1 }]]);
+
+                return dsWrapped
+                    .get(key2)
+                    .then(() => dsWrapped.get([key1, key2]))
+                    .then(() => {
+                        expect(originalGet.callCount).equal(2);
+                        expect(originalGet.getCall(1).args[0]).deep.equal([key1]);
+                    });
+            });
+
+            it('should remove the flag when an entity is saved with the key', () => {
+                createCache({ negativeCache: true });
+                const missingKey = `${cache.config.cachePrefix.keys}missing:${cache.db.keyToString(key1)}`;
+
+                return dsWrapped
+                    .get(key1)
+                    .then(() => cache.get(missingKey))
+                    .then(flag => {
+                        expect(flag).equal(true);
+                    })
+                    .then(() => dsWrapped.upsert({ key: key1, data: { name: 'john' } }))
+                    .then(() => cache.get(missingKey))
+                    .then(flag => {
+                        expect(flag).equal(undefined);
+                    });
+            });
+
+            it('should remove the flag when an entity is saved with the cache off', () => {
+                createCache({ negativeCache: true });
+                const missingKey = `${cache.config.cachePrefix.keys}missing:${cache.db.keyToString(key1)}`;
+
+                return dsWrapped
+                    .get(key1)
+                    .then(() => dsWrapped.save({ key: key1, data: { name: 'john' } }, { cache: false }))
+                    .then(() => cache.get(missingKey))
+                    .then(flag => {
+                        expect(flag).equal(undefined);
+                    });
+            });
+
+            it('should be disabled by default', () => {
+                createCache();
+
+                return dsWrapped
+                    .get(key1)
+                    .then(() => dsWrapped.get(key1))
+                    .then(() => {
+                        expect(originalGet.callCount).equal(2);
+                    });
+            });
+        });
+
+        describe('request coalescing', () => {
+            const key1 = ds.key(['User', 1]);
+            const key2 = ds.key(['User', 2]);
+            const key3 = ds.key(['User', 3]);
+            const toEntity = key => ({ id: key.id, [ds.KEY]: key });
+            let originalGet;
+            let originalRunQueryStream;
+
+            beforeEach(() => {
+                ({
+                    client: dsWrapped,
+                    cache,
+                    stubs: { get: originalGet, runQueryStream: originalRunQueryStream },
+                } = createWrappedClient(undefined, {
+                    get: keys =>
+                        new Promise(resolve => {
+                            const entities = Array.isArray(keys) ? keys.map(toEntity) : toEntity(keys);
+                            setTimeout(() => resolve([entities]), 5);
+                        }),
+                    runQueryStream: () => createQueryStream({ delay: 5 }),
+                }));
+            });
+
+            it('should share the Datastore call of concurrent cache misses', () =>
+                Promise.all([dsWrapped.get(key1), dsWrapped.get(key1), dsWrapped.get(key1)]).then(results => {
+                    expect(originalGet.callCount).equal(1);
+                    results.forEach(([entity]) => expect(entity.id).equal(1));
+                }));
+
+            it('should deduplicate the batches per key', () =>
+                Promise.all([dsWrapped.get([key1, key2]), dsWrapped.get([key2, key3])]).then(() => {
+                    expect(originalGet.callCount).equal(2);
+                    expect(originalGet.getCall(1).args[0]).deep.equal([key3]);
+                }));
+
+            it('should not share the Datastore call of reads with different read options', () =>
+                Promise.all([dsWrapped.get(key1, { consistency: 'eventual' }), dsWrapped.get(key1)]).then(() => {
+                    expect(originalGet.callCount).equal(2);
+                    expect(originalGet.getCall(0).args[1]).deep.equal({ consistency: 'eventual' });
+                    expect(originalGet.getCall(1).args[1]).deep.equal({});
+                }));
+
+            it('should share the errors', () => {
+                const error = new Error('Houston we have a problem');
+                originalGet.rejects(error);
+
+                return Promise.all([dsWrapped.get(key1).catch(err => err), dsWrapped.get(key1).catch(err => err)])
+                    .then(errors => {
+                        expect(originalGet.callCount).equal(1);
+                        expect(errors[0]).equal(error);
+                        expect(errors[1]).equal(error);
+                    })
+                    .then(() => dsWrapped.get(key1).catch(() => {}))
+                    .then(() => {
+                        expect(originalGet.callCount).equal(2);
+                    });
+            });
+
+            it('should share the query runs', () =>
+                Promise.all([dsWrapped.createQuery('User').run(), dsWrapped.createQuery('User').run()]).then(() => {
+                    expect(originalRunQueryStream.callCount).equal(1);
+                }));
+
+            it('should not share the query runs with different read options', () =>
+                Promise.all([
+                    dsWrapped.createQuery('User').run({ consistency: 'eventual' }),
+                    dsWrapped.createQuery('User').run(),
+                ]).then(() => {
+                    expect(originalRunQueryStream.callCount).equal(2);
+                    expect(originalRunQueryStream.getCall(0).args[1].consistency).equal('eventual');
+                    expect(originalRunQueryStream.getCall(1).args[1]).not.have.property('consistency');
+                }));
+        });
+
+        describe('events', () => {
+            const key1 = ds.key(['User', 1]);
+            const key2 = ds.key(['User', 2]);
+            const toEntity = key => ({ id: key.id, [ds.KEY]: key });
+            let adapter;
+
+            beforeEach(() => {
+                ({ client: dsWrapped, adapter, cache } = createWrappedClient(undefined, {
+                    get: keys => Promise.resolve([Array.isArray(keys) ? keys.map(toEntity) : toEntity(keys)]),
+                    save: [{ mutationResults: [] }],
+                    delete: [{}],
+                    runQueryStream: () => createQueryStream({ delay: 5 }),
+                }));
+            });
+
+            it('should emit the hits and misses of the keys', () => {
+                const events = [];
+                ['hit', 'miss', 'partialHit'].forEach(name =>
+                    adapter.events.on(name, payload => events.push([name, payload]))
+                );
+
+                return dsWrapped
+                    .get(key1)
+                    .then(() => dsWrapped.get([key1, key2]))
+                    .then(() => dsWrapped.get(key2))
+                    .then(() => {
+                        expect(events.map(([name]) => name)).deep.equal(['miss', 'partialHit', 'hit']);
+                        const [, payload] = events[1];
+                        expect(payload.kind).equal('User');
+                        expect(payload.keys).deep.equal([cache.db.keyToString(key1), cache.db.keyToString(key2)]);
+                        expect(payload.hits).equal(1);
+                        expect(payload.misses).equal(1);
+                        expect(payload.duration).a('number');
+                    });
+            });
+
+            it('should emit the hits and misses of the queries', () => {
+                const events = [];
+                ['hit', 'miss'].forEach(name => adapter.events.on(name, payload => events.push([name, payload])));
+                const query = dsWrapped.createQuery('User').filter('name', 'john');
+
+                return query
+                    .run()
+                    .then(() => query.run())
+                    .then(() => {
+                        expect(events.map(([name]) => name)).deep.equal(['miss', 'hit']);
+                        expect(events[0][1].kind).equal('User');
+                        expect(events[0][1].query).equal(cache.db.queryToString(query));
+                    });
+            });
+
+            it('should emit the keys primed and invalidated on write', () => {
+                const prime = sinon.spy();
+                const invalidateKeys = sinon.spy();
+                adapter.events.on('prime', prime);
+                adapter.events.on('invalidateKeys', invalidateKeys);
+
+                return dsWrapped
+                    .save({ key: key1, data: { name: 'john' } })
+                    .then(() => dsWrapped.delete(key1))
+                    .then(() => {
+                        expect(prime.getCall(0).args[0].keys).deep.equal([cache.db.keyToString(key1)]);
+                        expect(invalidateKeys.getCall(0).args[0].keys).deep.equal([cache.db.keyToString(key1)]);
+                    });
+            });
+
+            it('should emit the errors', () => {
+                const error = new Error('Houston we have a problem');
+                const onError = sinon.spy();
+                adapter.events.on('error', onError);
+                sinon.stub(cache.keys, 'read').rejects(error);
+
+                return dsWrapped
+                    .get(key1)
+                    .catch(err => err)
+                    .then(err => {
+                        expect(err).equal(error);
+                        expect(onError.getCall(0).args).deep.equal([error, { keys: key1 }]);
+                    });
+            });
+        });
+
+        describe('tracing', () => {
+            const key1 = ds.key(['User', 1]);
+            const key2 = ds.key(['User', 2]);
+            const toEntity = key => ({ id: key.id, [ds.KEY]: key });
+            let tracer;
+            let originalGet;
+
+            beforeEach(() => {
+                tracer = createTracer();
+                ({
+                    client: dsWrapped,
+                    cache,
+                    stubs: { get: originalGet },
+                } = createWrappedClient(
+                    { tracer },
+                    {
+                        get: keys => Promise.resolve([Array.isArray(keys) ? keys.map(toEntity) : toEntity(keys)]),
+                        save: [{ mutationResults: [] }],
+                        runQueryStream: () => createQueryStream({ delay: 5 }),
+                    }
+                ));
+            });
+
+            it('should trace the cache lookup and the Datastore fetch of the missing keys', () =>
+                dsWrapped
+                    .get(key1)
+                    .then(() => {
+                        tracer.spans.length = 0;
+                        return dsWrapped.get([key1, key2]);
+                    })
+                    .then(() => {
+                        const [lookup, fetch] = tracer.spans;
+
+                        expect(tracer.spans.map(span => span.name)).deep.equal(['cache lookup', 'datastore fetch']);
+                        expect(lookup.attributes).deep.equal({
+                            'nsql_cache.kind': 'User',
+                            'nsql_cache.namespace': '',
+                            'nsql_cache.keys_requested': 2,
+                            'nsql_cache.keys_from_cache': 1,
+                        });
+                        expect(fetch.attributes['nsql_cache.keys_requested']).equal(1);
+                        expect(fetch.attributes['nsql_cache.keys_found']).equal(1);
+                        expect(tracer.spans.every(span => span.ended)).equal(true);
+                    }));
+
+            it('should trace the queries with their fingerprint', () => {
+                const query = dsWrapped.createQuery('User').filter('name', 'john');
+
+                return query
+                    .run()
+                    .then(() => query.run())
+                    .then(() => {
+                        expect(tracer.spans.map(span => span.name)).deep.equal([
+                            'cache lookup',
+                            'datastore fetch',
+                            'cache lookup',
+                        ]);
+                        expect(tracer.spans[0].attributes['nsql_cache.query']).equal(cache.db.queryToString(query));
+                        expect(tracer.spans[0].attributes['nsql_cache.hit']).equal(false);
+                        expect(tracer.spans[2].attributes['nsql_cache.hit']).equal(true);
+                    });
+            });
+
+            it('should trace the cache prime on write', () =>
+                dsWrapped.save({ key: key1, data: { name: 'john' } }).then(() => {
+                    const [prime] = tracer.spans;
+                    expect(prime.name).equal('cache prime');
+                    expect(prime.attributes['nsql_cache.keys_requested']).equal(1);
+                    expect(prime.ended).equal(true);
+                }));
+
+            it('should record the errors on the span', () => {
+                const error = new Error('Houston we have a problem');
+                originalGet.rejects(error);
+
+                return dsWrapped
+                    .get(key1)
+                    .catch(err => err)
+                    .then(err => {
+                        expect(err).equal(error);
+                        expect(tracer.spans[1].exception).equal(error);
+                        expect(tracer.spans[1].ended).equal(true);
+                    });
+            });
+        });
+
+        describe('stale-while-revalidate', () => {
+            const key = ds.key(['User', 123]);
+            const options = { cache: { ttl: 0.001 } };
+            const wait = () => new Promise(resolve => setTimeout(resolve, 10));
+            let originalGet;
+            let originalRunQueryStream;
+            let onRefreshError;
+
+            beforeEach(() => {
+                onRefreshError = sinon.spy();
+                ({
+                    client: dsWrapped,
+                    cache,
+                    stubs: { get: originalGet, runQueryStream: originalRunQueryStream },
+                } = createWrappedClient(
+                    { staleWhileRevalidate: { grace: 10, onRefreshError } },
+                    { get: undefined, delete: [{}], runQueryStream: undefined }
+                ));
+                originalGet.onCall(0).resolves([{ name: 'john', [ds.KEY]: key }]);
+                originalGet.onCall(1).resolves([{ name: 'mick', [ds.KEY]: key }]);
+            });
+
+            it('should return the expired entity when the Datastore call fails', () => {
+                const error = new Error('Houston we have a problem');
+                originalGet.onCall(1).rejects(error);
+                originalGet.onCall(2).resolves([{ name: 'mick', [ds.KEY]: key }]);
+
+                return dsWrapped
+                    .get(key, options)
+                    .then(wait)
+                    .then(() => dsWrapped.get(key, options))
+                    .then(([entity]) => {
+                        expect(entity.name).equal('john');
+                        expect(entity[ds.KEY]).equal(key);
+                        expect(onRefreshError.getCall(0).args).deep.equal([error, { keys: [key] }]);
+                    })
+                    .then(() => dsWrapped.get(key, options))
+                    .then(([entity]) => {
+                        expect(entity.name).equal('mick');
+                        expect(originalGet.callCount).equal(3);
+                    });
+            });
+
+            it('should return the stale entities along with the entities cached', () => {
+                const key2 = ds.key(['User', 456]);
+                originalGet.onCall(1).rejects(new Error('Houston we have a problem'));
+
+                return dsWrapped
+                    .get(key, options)
+                    .then(wait)
+                    .then(() => cache.keys.set(key2, { name: 'mick', [ds.KEY]: key2 }))
+                    .then(() => dsWrapped.get([key, key2], options))
+                    .then(entities => {
+                        expect(entities.map(entity => entity.name)).deep.equal(['john', 'mick']);
+                        expect(originalGet.getCall(1).args[0]).deep.equal([key]);
+                    });
+            });
+
+            it('should only look up the stale copy when the Datastore call fails', () => {
+                sinon.spy(cache, 'get');
+
+                return dsWrapped
+                    .get(key, options)
+                    .then(wait)
+                    .then(() => dsWrapped.get(key, options))
+                    .then(([entity]) => {
+                        expect(entity.name).equal('mick');
+                        expect(cache.get.called).equal(false);
+                    });
+            });
+
+            it('should return the error when there is no stale copy', () => {
+                const error = new Error('Houston we have a problem');
+                originalGet.onCall(0).rejects(error);
+
+                return dsWrapped.get(key, options).then(
+                    () => {
+                        throw new Error('should not resolve');
+                    },
+                    err => {
+                        expect(err).equal(error);
+                        expect(onRefreshError.called).equal(false);
+                    }
+                );
+            });
+
+            it('should not return a deleted entity', () => {
+                originalGet.onCall(1).rejects(new Error('Houston we have a problem'));
+
+                return dsWrapped
+                    .get(key, options)
+                    .then(() => dsWrapped.delete(key))
+                    .then(wait)
+                    .then(() => dsWrapped.get(key, options))
+                    .then(
+                        () => {
+                            throw new Error('should not resolve');
+                        },
+                        err => {
+                            expect(err.message).equal('Houston we have a problem');
+                        }
+                    );
+            });
+
+            it('should return the expired query result when the Datastore call fails', () => {
+                const error = new Error('Houston we have a problem');
+                let run = 0;
+                originalRunQueryStream.callsFake(() => {
+                    run += 1;
+                    return run === 2
+                        ? createQueryStream({ error })
+                        : createQueryStream({ entities: [{ run, [ds.KEY]: key }] });
+                });
+                const query = dsWrapped.createQuery('User');
+
+                return query
+                    .run(options)
+                    .then(wait)
+                    .then(() => query.run(options))
+                    .then(([entities]) => {
+                        expect(entities[0].run).equal(1);
+                        expect(entities[0][ds.KEY]).equal(key);
+                        expect(onRefreshError.getCall(0).args).deep.equal([error, { query }]);
+                    })
+                    .then(() => query.run(options))
+                    .then(([entities]) => {
+                        expect(entities[0].run).equal(3);
+                    });
+            });
+        });
+
+        describe('field level invalidation', () => {
+            const key = ds.key(['User', 123]);
+            const field = prop => `__field__${separator}User${separator}${prop}`;
+            const entities = `__entities__${separator}User`;
+
+            beforeEach(() => {
+                ({ client: dsWrapped, cache } = createWrappedClient(
+                    { fieldLevelInvalidation: true },
+                    { save: [{ mutationResults: [] }] }
+                ));
+                sinon.spy(cache.queries, 'clearQueriesByKind');
+            });
+
+            it('should reference the projection queries under the properties they depend on', () => {
+                const query = dsWrapped
+                    .createQuery('User')
+                    .filter('age', '>', 18)
+                    .filter('__key__', '>', key)
+                    .order('name')
+                    .select(['name', 'age']);
+                const keysOnly = dsWrapped.createQuery('User').select('__key__');
+
+                expect(cache.db.getEntityKindFromQuery(query)).deep.equal(['User', field('age'), field('name')]);
+                expect(cache.db.getEntityKindFromQuery(keysOnly)).deep.equal('User');
+            });
+
+            it('should reference the queries returning full entities under the Kind entities', () => {
+                const query = dsWrapped.createQuery('User').filter('age', '>', 18);
+
+                expect(cache.db.getEntityKindFromQuery(query)).deep.equal(['User', entities]);
+                expect(cache.db.getEntityKindFromQuery(dsWrapped.createQuery('User'))).deep.equal(['User', entities]);
+            });
+
+            it('should only clear the projections depending on the properties updated', () =>
+                cache.keys
+                    .set(key, { name: 'john', age: 30 })
+                    .then(() => dsWrapped.update({ key, data: { name: 'john', age: 31 } }))
+                    .then(() => {
+                        const kinds = cache.queries.clearQueriesByKind.getCall(0).args[0];
+                        expect(kinds).include(entities);
+                        expect(kinds).include(field('age'));
+                        expect(kinds).not.include('User');
+                        expect(kinds).not.include(field('name'));
+                    }));
+
+            it('should clear all the queries of the Kind when the entity is not cached', () =>
+                dsWrapped.update({ key, data: { name: 'john' } }).then(() => {
+                    expect(cache.queries.clearQueriesByKind.getCall(0).args[0]).include('User');
+                }));
+
+            it('should clear all the queries of the Kind on insert', () =>
+                cache.keys
+                    .set(key, { name: 'john' })
+                    .then(() => dsWrapped.insert({ key, data: { name: 'john' } }))
+                    .then(() => {
+                        expect(cache.queries.clearQueriesByKind.getCall(0).args[0]).include('User');
+                    }));
+        });
+
+        describe('datastore.delete()', () => {
+            const key = ds.key(['User', 123]);
+            let originalDelete;
+
+            beforeEach(() => {
+                ({
+                    client: dsWrapped,
+                    cache,
+                    stubs: { delete: originalDelete },
+                } = createWrappedClient(
+                    { tombstones: true },
+                    { delete: [{}], get: [{ name: 'john', [ds.KEY]: key }], save: [{ mutationResults: [] }] }
+                ));
+                sinon.spy(cache.keys, 'del');
+            });
+
+            it('should pass the client options to the Datastore', () => {
+                const gaxOptions = { timeout: 1000 };
+
+                return dsWrapped.delete(key, { timeout: 1000, cache: true, tombstone: 5 }).then(() => {
+                    expect(originalDelete.getCall(0).args).deep.equal([key, gaxOptions]);
+                });
+            });
+
+            it('should bypass the cache', () => {
+                cache.config.global = false;
+
+                return dsWrapped
+                    .delete(key)
+                    .then(() => dsWrapped.delete(key, { cache: false }))
+                    .then(() => {
+                        expect(cache.keys.del.called).equal(false);
+                    });
+            });
+
+            it('should not prime the cache with an entity fetched during the tombstone window', () =>
+                dsWrapped
+                    .delete(key, { tombstone: 10 })
+                    .then(() => dsWrapped.get(key))
+                    .then(([entity]) => {
+                        expect(entity).equal(undefined);
+                    })
+                    .then(() => dsWrapped.save({ key, data: { name: 'john' } }, { cache: { ttl: 0.001 } }))
+                    .then(() => new Promise(resolve => setTimeout(resolve, 10)))
+                    .then(() => dsWrapped.get(key))
+                    .then(([entity]) => {
+                        expect(entity.name).equal('john');
+                    }));
+
+            it('should not look up the tombstones unless they are enabled', () => {
+                ({
+                    client: dsWrapped,
+                    cache,
+                    stubs: { delete: originalDelete },
+                } = createWrappedClient(undefined, {
+                    delete: [{}],
+                    get: [{ name: 'john', [ds.KEY]: key }],
+                }));
+                sinon.spy(cache, 'get');
+
+                return dsWrapped
+                    .delete(key, { tombstone: 10 })
+                    .then(
+                        () => {
+                            throw new Error('should not resolve');
+                        },
+                        err => {
+                            expect(err.code).equal('ERR_TOMBSTONES_OFF');
+                            expect(originalDelete.called).equal(false);
+                        }
+                    )
+                    .then(() => dsWrapped.get(key))
+                    .then(() => {
+                        expect(cache.get.called).equal(false);
+                    });
+            });
+        });
+
+        describe('flushNamespace()', () => {
+            it('should require a Redis client', () =>
+                cache.db.flushNamespace('tenantA').then(
+                    () => {
+                        throw new Error('should not resolve');
+                    },
+                    err => {
+                        expect(err.code).equal('ERR_NO_REDIS');
+                    }
+                ));
+        });
+
+        describe('datastore.transaction()', () => {
+            let transaction;
+            let request;
+
+            const requestsSent = () => request.getCalls().map(call => call.args[0].method);
+            const mutationsSent = () =>
+                request
+                    .getCalls()
+                    .filter(call => call.args[0].method === 'commit')
+                    .map(call => call.args[0].reqOpts.mutations.map(mutation => Object.keys(mutation)[0]));
+
+            beforeEach(() => {
+                transaction = dsWrapped.transaction();
+                request = stubTransactionRequests(transaction);
+                sinon.spy(cache.keys, 'mset');
+                sinon.spy(cache.keys, 'del');
+                sinon.spy(cache.queries, 'clearQueriesByKind');
+                return transaction.run();
+            });
+
+            it('should only update the cache after the commit', () => {
+                const key1 = dsWrapped.key(['User', 123]);
+                const key2 = dsWrapped.key(['Post', 456]);
+                const data = { name: 'john' };
+
+                transaction.save({ key: key1, data });
+                transaction.delete(key2);
+                expect(cache.keys.mset.called).equal(false);
+
+                return transaction
+                    .commit()
+                    .then(() => cache.keys.get(key1))
+                    .then(cached => {
+                        expect(mutationsSent()).deep.equal([['upsert', 'delete']]);
+                        expect(cached).deep.equal(data);
+                        expect(cache.keys.del.getCall(0).args).deep.equal([key2]);
+                        expect(cache.queries.clearQueriesByKind.getCall(0).args[0][0]).equal('User');
+                        expect(cache.queries.clearQueriesByKind.getCall(1).args[0][0]).equal('Post');
+                    });
+            });
+
+            it('should only keep the last mutation queued for a Key', () => {
+                const key = dsWrapped.key(['User', 123]);
+
+                transaction.save({ key, data: { name: 'john' } });
+                transaction.delete(key);
+
+                return transaction.commit().then(() => {
+                    expect(mutationsSent()).deep.equal([['delete']]);
+                    expect(cache.keys.mset.called).equal(false);
+                    expect(cache.keys.del.getCall(0).args).deep.equal([key]);
+                });
+            });
+
+            it('should not update the cache when the commit fails', () => {
+                const error = new Error('Houston we have a problem');
+                request.restore();
+                request = stubTransactionRequests(transaction, { commit: error });
+
+                transaction.save({ key: dsWrapped.key(['User', 123]), data: { name: 'john' } });
+
+                return transaction
+                    .commit()
+                    .then(
+                        () => {
+                            throw new Error('should not resolve');
+                        },
+                        err => {
+                            expect(err).equal(error);
+                            // The client rolls back the transaction itself
+                            expect(requestsSent()).deep.equal(['commit', 'rollback']);
+                        }
+                    )
+                    .then(() => transaction.commit())
+                    .then(() => {
+                        expect(cache.keys.mset.called).equal(false);
+                        expect(cache.queries.clearQueriesByKind.called).equal(false);
+                    });
+            });
+
+            it('should discard the mutations on rollback', () => {
+                const key = dsWrapped.key(['User', 123]);
+
+                transaction.save({ key, data: { name: 'john' } });
+
+                return transaction
+                    .rollback()
+                    .then(() => transaction.commit())
+                    .then(() => {
+                        expect(requestsSent()).deep.equal(['beginTransaction', 'rollback']);
+                        expect(cache.keys.mset.called).equal(false);
+                        expect(cache.queries.clearQueriesByKind.called).equal(false);
+                    });
+            });
+
+            it('should create the queries on the transaction', () => {
+                const query = transaction.createQuery('User');
+                expect(query.scope).equal(transaction);
+            });
+        });
+
+        describe('datastore.runAggregationQuery()', () => {
+            let originalRunAggregationQuery;
+
+            beforeEach(() => {
+                ({
+                    client: dsWrapped,
+                    cache,
+                    stubs: { runAggregationQuery: originalRunAggregationQuery },
+                } = createWrappedClient(undefined, { runAggregationQuery: [[{ property_1: 2 }]] }));
+            });
+
+            it('should cache the aggregation query', () => {
+                const aggregateQuery = createAggregationQuery(dsWrapped.createQuery('User'), ['count']);
+
+                return dsWrapped
+                    .runAggregationQuery(aggregateQuery, { cache: { ttl: 60 } })
+                    .then(() => dsWrapped.runAggregationQuery(aggregateQuery))
+                    .then(([results]) => {
+                        expect(results).deep.equal([{ property_1: 2 }]);
+                        expect(originalRunAggregationQuery.callCount).equal(1);
+                        expect(originalRunAggregationQuery.getCall(0).args[1]).deep.equal({});
+                    });
+            });
+
+            it('should bypass the cache', () => {
+                const aggregateQuery = createAggregationQuery(dsWrapped.createQuery('User'), ['count']);
+
+                return dsWrapped
+                    .runAggregationQuery(aggregateQuery, { cache: false })
+                    .then(() => dsWrapped.runAggregationQuery(aggregateQuery, { cache: false }))
+                    .then(() => {
+                        expect(originalRunAggregationQuery.callCount).equal(2);
+                    });
+            });
+        });
+
+        describe('datastore.merge()', () => {
+            const key = ds.key(['User', 123]);
+            let request;
+
+            const requestsSent = method => request.getCalls().filter(call => call.args[0].method === method);
+
+            beforeEach(() => {
+                request = stubTransactionRequests(Transaction.prototype);
+                sinon.stub(Transaction.prototype, 'get').resolves([{ name: 'john', age: 30, [ds.KEY]: key }]);
+                sinon.spy(cache.queries, 'clearQueriesByKind');
+            });
+
+            afterEach(() => {
+                request.restore();
+                Transaction.prototype.get.restore();
+            });
+
+            it('should prime the cache with the merged entity', () =>
+                dsWrapped
+                    .merge({ key, data: { age: 31 } })
+                    .then(() => cache.keys.get(key))
+                    .then(cached => {
+                        expect(requestsSent('commit')[0].args[0].reqOpts.mutations[0]).have.property('upsert');
+                        expect(cached).deep.equal({ name: 'john', age: 31 });
+                        expect(cache.queries.clearQueriesByKind.getCall(0).args[0][0]).equal('User');
+                    }));
+
+            it('should save the typed values and keep the properties excluded from the indexes', () => {
+                sinon.spy(Transaction.prototype, 'save');
+                const age = ds.int('9007199254740993');
+                const score = ds.double(2);
+                const location = ds.geoPoint({ latitude: 40.6894, longitude: -74.0447 });
+                const data = [
+                    { name: 'age', value: age },
+                    { name: 'score', value: score },
+                    { name: 'location', value: location },
+                    { name: 'bio', value: 'Lorem ipsum', excludeFromIndexes: true },
+                    { name: 'tags', value: ['a', 'b'], excludeFromIndexes: true },
+                ];
+
+                return dsWrapped
+                    .merge({ key, data })
+                    .then(() => {
+                        const [saved] = Transaction.prototype.save.getCall(0).args[0];
+                        Transaction.prototype.save.restore();
+
+                        expect(saved.data).deep.equal({
+                            name: 'john',
+                            age,
+                            score,
+                            location,
+                            bio: 'Lorem ipsum',
+                            tags: ['a', 'b'],
+                        });
+                        expect(saved.data.age).equal(age);
+                        expect(saved.data.score).equal(score);
+                        expect(saved.data.location).equal(location);
+                        expect(saved.excludeFromIndexes).deep.equal(['bio', 'tags[]']);
+                        return cache.keys.get(key);
+                    })
+                    .then(cached => {
+                        expect(cached.age).equal(Number(age.value));
+                        expect(cached.score).equal(2);
+                        expect(cached.location).deep.equal({ latitude: 40.6894, longitude: -74.0447 });
+                    });
+            });
+
+            it('should evict the entity from the cache', () =>
+                cache.keys
+                    .set(key, { name: 'john', age: 30 })
+                    .then(() => dsWrapped.merge({ key, data: { age: 31 } }, { onMerge: 'evict' }))
+                    .then(() => cache.keys.get(key))
+                    .then(cached => {
+                        expect(cached).equal(undefined);
+                        expect(cache.queries.clearQueriesByKind.getCall(0).args[0][0]).equal('User');
+                    }));
+
+            it('should rollback the transaction when the entities cannot be read', () => {
+                const error = new Error('Houston we have a problem');
+                Transaction.prototype.get.rejects(error);
+
+                return dsWrapped.merge({ key, data: { age: 31 } }).then(
+                    () => {
+                        throw new Error('should not resolve');
+                    },
+                    err => {
+                        expect(err).equal(error);
+                        expect(requestsSent('rollback').length).equal(1);
+                        expect(requestsSent('commit').length).equal(0);
+                    }
+                );
+            });
+
+            it('should not rollback again when the commit fails', () => {
+                const error = new Error('Houston we have a problem');
+                request.restore();
+                request = stubTransactionRequests(Transaction.prototype, { commit: error });
+
+                return dsWrapped.merge({ key, data: { age: 31 } }).then(
+                    () => {
+                        throw new Error('should not resolve');
+                    },
+                    err => {
+                        expect(err).equal(error);
+                        // Only the rollback of the client
+                        expect(requestsSent('rollback').length).equal(1);
+                        expect(cache.queries.clearQueriesByKind.called).equal(false);
+                    }
+                );
+            });
+
+            it('should support the callback signature', done => {
+                dsWrapped.merge({ key, data: { age: 31 } }, (err, res) => {
+                    expect(err).equal(null);
+                    expect(res).deep.equal({ mutationResults: [] });
+                    done();
+                });
+            });
+        });
     });
 });
@@ -550,4 +550,141 @@ describe('Integration Test **wrapped** Datastore', () => {
                 });
         });
     });
+
+    describe('patchQueries', () => {
+        it('should update the cached result of the patchable queries on write', () => {
+            const client = new Datastore({ projectId: 'gstore-cache-integration-tests' });
+            const patchCache = new NsqlCache({
+                db: dsAdapter(client, { kinds: { Patched: { patchQueries: true } } }),
+                stores: [{ store: redisStore }],
+            });
+            const role = string.random();
+            const key = client.key(['Patched', string.random()]);
+            const query = client.createQuery('Patched').filter('role', role);
+
+            return query
+                .run()
+                .then(([entities]) => {
+                    expect(entities.length).equal(0);
+                })
+                .then(() => client.save({ key, data: { role } }))
+                .then(() => patchCache.queries.get(query))
+                .then(([entities]) => {
+                    expect(entities.length).equal(1);
+                    expect(entities[0][client.KEY].name).equal(key.name);
+                })
+                .then(() => client.delete(key))
+                .then(() => patchCache.queries.get(query))
+                .then(([entities]) => {
+                    expect(entities.length).equal(0);
+                });
+        });
+    });
+
+    describe('flushNamespace()', () => {
+        it('should remove the entities and queries of a namespace from the cache', () => {
+            const keyA = dsWrapped.key({ namespace: 'tenantA', path: ['User', string.random()] });
+            const keyB = dsWrapped.key({ namespace: 'tenantB', path: ['User', string.random()] });
+            const q = dsWrapped.createQuery('tenantA', 'User');
+            const data = { name: string.random() };
+
+            return dsWrapped
+                .save([{ key: keyA, data }, { key: keyB, data }])
+                .then(() => cache.queries.set(q, [[data]]))
+                .then(() => cache.db.flushNamespace('tenantA'))
+                .then(() => Promise.all([cache.keys.mget(keyA, keyB), cache.queries.get(q)]))
+                .then(([[entityA, entityB], queryCached]) => {
+                    assert.isNull(entityA);
+                    expect(entityB).deep.equal(data);
+                    assert.isNull(queryCached);
+                });
+        });
+
+        it('should remove the stale copies of the entities of a namespace', () => {
+            const client = new Datastore({ projectId: 'gstore-cache-integration-tests' });
+            const swrCache = new NsqlCache({
+                db: dsAdapter(client, { staleWhileRevalidate: true }),
+                stores: [{ store: redisStore }],
+            });
+            const key = client.key({ namespace: 'tenantA', path: ['User', string.random()] });
+            const staleKey = `gck:stale:${swrCache.db.keyToString(key)}`;
+
+            return client
+                .save({ key, data: { name: string.random() } })
+                .then(() => swrCache.get(staleKey))
+                .then(stale => {
+                    assert.ok(stale);
+                })
+                .then(() => swrCache.db.flushNamespace('tenantA'))
+                .then(() => swrCache.get(staleKey))
+                .then(stale => {
+                    assert.notOk(stale);
+                });
+        });
+
+        it('should remove the missing keys flags of a namespace', () => {
+            const client = new Datastore({ projectId: 'gstore-cache-integration-tests' });
+            const negativeCache = new NsqlCache({
+                db: dsAdapter(client, { negativeCache: true }),
+                stores: [{ store: redisStore }],
+            });
+            const key = client.key({ namespace: 'tenantA', path: ['User', string.random()] });
+            const missingKey = `gck:missing:${negativeCache.db.keyToString(key)}`;
+
+            return client
+                .get(key)
+                .then(() => negativeCache.get(missingKey))
+                .then(flag => {
+                    assert.ok(flag);
+                })
+                .then(() => negativeCache.db.flushNamespace('tenantA'))
+                .then(() => negativeCache.get(missingKey))
+                .then(flag => {
+                    assert.notOk(flag);
+                });
+        });
+
+        it('should expire the namespace Set and remove the keys deleted from it', () => {
+            const key = dsWrapped.key({ namespace: 'tenantA', path: ['User', string.random()] });
+            const keysSet = 'gck:__ns__:%:tenantA';
+            const redis = (method, ...args) =>
+                new Promise((resolve, reject) => {
+                    redisClient[method](...args, (err, res) => (err ? reject(err) : resolve(res)));
+                });
+
+            return dsWrapped
+                .save({ key, data: { name: string.random() } })
+                .then(() => Promise.all([redis('scard', keysSet), redis('ttl', keysSet)]))
+                .then(([total, ttl]) => {
+                    expect(total).equal(1);
+                    expect(ttl).above(0);
+                    expect(ttl).most(cache.config.ttl.keys);
+                })
+                .then(() => dsWrapped.delete(key))
+                .then(() => redis('scard', keysSet))
+                .then(total => {
+                    expect(total).equal(0);
+                });
+        });
+
+        it('should expire the namespace Set with the TTL of the "cache" option of get()', () => {
+            const key = dsWrapped.key({ namespace: 'tenantA', path: ['User', string.random()] });
+            const keysSet = 'gck:__ns__:%:tenantA';
+            const ttl = cache.config.ttl.keys * 10;
+
+            return dsWrapped
+                .save({ key, data: { name: string.random() } }, { cache: false })
+                .then(() => dsWrapped.get(key, { cache: { ttl } }))
+                .then(
+                    () =>
+                        new Promise((resolve, reject) => {
+                            redisClient.ttl(keysSet, (err, res) => (err ? reject(err) : resolve(res)));
+                        })
+                )
+                .then(setTTL => {
+                    expect(setTTL).above(cache.config.ttl.keys);
+                    expect(setTTL).most(ttl);
+                });
+        });
+    });
 });
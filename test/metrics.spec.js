@@ -0,0 +1,100 @@
+'use strict';
+
+const { EventEmitter } = require('events');
+const chai = require('chai');
+const sinon = require('sinon');
+const NsqlCache = require('nsql-cache');
+const { Datastore } = require('@google-cloud/datastore');
+
+const DatastoreAdapter = require('../lib');
+const createMetrics = require('../lib/metrics');
+
+const { expect } = chai;
+
+describe('Metrics', () => {
+    let events;
+    let metrics;
+
+    beforeEach(() => {
+        events = new EventEmitter();
+        metrics = createMetrics(events, { buckets: [0.01, 0.1] });
+    });
+
+    it('should count the reads and the hit ratio per Kind', () => {
+        events.emit('miss', { kind: 'User', keys: ['User:%:1'], hits: 0, misses: 1, bytes: 20, duration: 50 });
+        events.emit('partialHit', { kind: 'User', keys: ['User:%:1', 'User:%:2'], hits: 1, misses: 1, duration: 5 });
+        events.emit('hit', { kind: 'User', query: 'User:%:name:=:john', duration: 1 });
+        events.emit('hit', { kind: 'Post', namespace: 'ns', keys: ['ns:%:Post:%:1'], hits: 1, misses: 0, duration: 1 });
+
+        const [user, post] = metrics.toJSON();
+
+        expect(user.kind).equal('User');
+        expect(user.reads).deep.equal({ keys: { hit: 0, miss: 1, partial_hit: 1 }, queries: { hit: 1, miss: 0 } });
+        expect(user.keys).deep.equal({ hit: 1, miss: 2 });
+        expect(user.hitRatio).equal(0.5);
+        expect(user.datastoreFallbacks).deep.equal({ keys: 2, queries: 0 });
+        expect(user.bytesStored).equal(20);
+        expect(user.latency.get.count).equal(2);
+        expect(user.latency.get.buckets).deep.equal([{ le: 0.01, count: 1 }, { le: 0.1, count: 2 }]);
+        expect(post.namespace).equal('ns');
+        expect(post.hitRatio).equal(1);
+    });
+
+    it('should count the invalidations and the bytes primed', () => {
+        events.emit('prime', { kind: 'User', keys: ['User:%:1'], bytes: 42, duration: 2 });
+        events.emit('invalidateKeys', { kind: 'User', keys: ['User:%:1', 'User:%:2'], duration: 2 });
+        events.emit('invalidateQueries', { kind: 'User', keys: ['User:%:1'], entityKinds: ['User'], duration: 2 });
+
+        const [user] = metrics.toJSON();
+
+        expect(user.bytesStored).equal(42);
+        expect(user.invalidations).deep.equal({ keys: 2, queries: 1 });
+        expect(user.hitRatio).equal(null);
+    });
+
+    it('should render the Prometheus text exposition format', () => {
+        events.emit('miss', { kind: 'Us"er', keys: ['Us"er:%:1'], hits: 0, misses: 1, bytes: 20, duration: 50 });
+
+        const text = metrics.toPrometheus();
+
+        expect(text).contain('# TYPE nsql_cache_datastore_reads_total counter\n');
+        expect(text).contain(
+            'nsql_cache_datastore_reads_total{kind="Us\\"er",namespace="",type="keys",result="miss"} 1\n'
+        );
+        expect(text).contain('nsql_cache_datastore_hit_ratio{kind="Us\\"er",namespace=""} 0\n');
+        expect(text).contain('# TYPE nsql_cache_datastore_operation_duration_seconds histogram\n');
+        const histogram = 'nsql_cache_datastore_operation_duration_seconds';
+        const labels = 'kind="Us\\"er",namespace="",operation="get"';
+        expect(text).contain(`${histogram}_bucket{${labels},le="0.01"} 0\n`);
+        expect(text).contain(`${histogram}_bucket{${labels},le="+Inf"} 1\n`);
+        expect(text).contain(`${histogram}_sum{${labels}} 0.05\n`);
+    });
+
+    it('should reset and stop collecting', () => {
+        events.emit('hit', { kind: 'User', query: 'User', duration: 1 });
+        metrics.reset();
+        expect(metrics.toJSON()).deep.equal([]);
+        expect(metrics.toPrometheus()).equal('');
+
+        metrics.stop();
+        events.emit('hit', { kind: 'User', query: 'User', duration: 1 });
+        expect(metrics.toJSON()).deep.equal([]);
+    });
+
+    it('should collect the metrics of the wrapped client', () => {
+        const ds = new Datastore();
+        const key = ds.key(['User', 123]);
+        sinon.stub(ds, 'get').resolves([{ name: 'john', [ds.KEY]: key }]);
+        const adapter = DatastoreAdapter(ds, { metrics: true });
+        new NsqlCache({ db: adapter }); // eslint-disable-line no-new
+
+        return ds
+            .get(key)
+            .then(() => ds.get(key))
+            .then(() => {
+                const [user] = adapter.metrics.toJSON();
+                expect(user.reads.keys).deep.equal({ hit: 1, miss: 1, partial_hit: 0 });
+                expect(user.hitRatio).equal(0.5);
+            });
+    });
+});
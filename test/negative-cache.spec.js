@@ -0,0 +1,72 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const NsqlCache = require('nsql-cache');
+const { Datastore } = require('@google-cloud/datastore');
+
+const DatastoreAdapter = require('../lib');
+const createNegativeCache = require('../lib/negative-cache');
+
+const { expect } = chai;
+
+describe('Negative cache', () => {
+    let ds;
+    let adapter;
+    let cache;
+    let namespaces;
+    let key1;
+    let key2;
+
+    beforeEach(() => {
+        ds = new Datastore();
+        adapter = DatastoreAdapter(ds);
+        cache = new NsqlCache({ db: adapter });
+        namespaces = {
+            addToNamespaces: sinon.stub().resolves(),
+            removeFromNamespaces: sinon.stub().resolves(),
+        };
+        key1 = ds.key(['User', 123]);
+        key2 = ds.key(['User', 456]);
+    });
+
+    it('should flag the keys not found and filter them out', () => {
+        const { setMissing, removeMissing } = createNegativeCache(cache, adapter, {
+            config: { ttl: 30 },
+            namespaces,
+        });
+
+        return setMissing([key1, key2], [{ name: 'john', [ds.KEY]: key1 }, undefined])
+            .then(() => removeMissing([key1, key2]))
+            .then(keys => {
+                expect(keys).deep.equal([key1]);
+                expect(namespaces.addToNamespaces.getCall(0).args.slice(0, 2)).deep.equal([[key2], 30]);
+            });
+    });
+
+    it('should remove the flags of the keys', () => {
+        const { setMissing, clearMissing, removeMissing } = createNegativeCache(cache, adapter, {
+            config: true,
+            namespaces,
+        });
+
+        return setMissing([key1, key2], [])
+            .then(() => clearMissing([key2]))
+            .then(() => removeMissing([key1, key2]))
+            .then(keys => {
+                expect(keys).deep.equal([key2]);
+                expect(namespaces.removeFromNamespaces.getCall(0).args[0]).deep.equal([key2]);
+            });
+    });
+
+    it('should not flag the keys when disabled', () => {
+        const { setMissing, removeMissing } = createNegativeCache(cache, adapter, { config: false, namespaces });
+
+        return setMissing([key1], [])
+            .then(() => removeMissing([key1]))
+            .then(keys => {
+                expect(keys).deep.equal([key1]);
+                expect(namespaces.addToNamespaces.called).equal(false);
+            });
+    });
+});
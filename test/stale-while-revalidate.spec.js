@@ -0,0 +1,111 @@
+'use strict';
+
+const chai = require('chai');
+const sinon = require('sinon');
+const NsqlCache = require('nsql-cache');
+const { Datastore } = require('@google-cloud/datastore');
+
+const DatastoreAdapter = require('../lib');
+const createStaleWhileRevalidate = require('../lib/stale-while-revalidate');
+
+const { expect } = chai;
+
+describe('Stale-while-revalidate', () => {
+    let ds;
+    let adapter;
+    let cache;
+    let emitError;
+    let swr;
+    let key1;
+    let key2;
+    let entity1;
+    let entity2;
+    const error = new Error('Datastore unavailable');
+
+    beforeEach(() => {
+        ds = new Datastore();
+        adapter = DatastoreAdapter(ds);
+        cache = new NsqlCache({ db: adapter });
+        emitError = sinon.spy();
+        swr = createStaleWhileRevalidate(cache, adapter, {
+            config: { grace: 30 },
+            namespaces: {
+                getNamespaceTTL: () => 0,
+                addToNamespaces: sinon.stub().resolves(),
+                removeFromNamespaces: sinon.stub().resolves(),
+            },
+            keyId: key => cache.config.cachePrefix.keys + adapter.keyToString(key),
+            emitError,
+        });
+        key1 = ds.key(['User', 123]);
+        key2 = ds.key(['User', 456]);
+        entity1 = { name: 'john', [ds.KEY]: key1 };
+        entity2 = { name: 'mick', [ds.KEY]: key2 };
+    });
+
+    it('should pass the stale copies to "onStale()" when the fetch fails', () => {
+        const onStale = sinon.spy();
+
+        return swr
+            .fetchEntities(() => Promise.resolve([entity1, entity2]), [key1, key2], undefined, onStale)
+            .then(() => swr.fetchEntities(() => Promise.reject(error), [key1, key2], undefined, onStale))
+            .then(
+                () => {
+                    throw new Error('should not get here');
+                },
+                err => {
+                    expect(err).equal(error);
+                    const [staleEntities] = onStale.getCall(0).args;
+                    expect(staleEntities.map(entity => entity.name)).deep.equal(['john', 'mick']);
+                    expect(adapter.keyToString(staleEntities[1][ds.KEY])).equal(adapter.keyToString(key2));
+                }
+            );
+    });
+
+    it('should not call "onStale()" unless all the keys fetched have a stale copy', () => {
+        const onStale = sinon.spy();
+
+        return swr
+            .fetchEntities(() => Promise.resolve(entity1), key1, undefined, onStale)
+            .then(() => swr.clearStaleEntities([key1]))
+            .then(() => swr.fetchEntities(() => Promise.reject(error), [key1, key2], undefined, onStale))
+            .catch(err => {
+                expect(err).equal(error);
+                expect(onStale.called).equal(false);
+            });
+    });
+
+    it('should pass the stale result of a query to "onStale()" when the fetch fails', () => {
+        const query = ds.createQuery('User').filter('name', 'john');
+        const onStale = sinon.spy();
+
+        return swr
+            .fetchQuery(
+                () => Promise.resolve([[entity1], { moreResults: 'NO_MORE_RESULTS' }]),
+                query,
+                undefined,
+                onStale
+            )
+            .then(() => swr.fetchQuery(() => Promise.reject(error), query, undefined, onStale))
+            .catch(err => {
+                expect(err).equal(error);
+                const [[entities, info]] = onStale.getCall(0).args;
+                expect(entities[0].name).equal('john');
+                expect(adapter.keyToString(entities[0][ds.KEY])).equal(adapter.keyToString(key1));
+                expect(info).deep.equal({ moreResults: 'NO_MORE_RESULTS' });
+            });
+    });
+
+    it('should call the "onRefreshError()" of the config and emit the error', () => {
+        const onRefreshError = sinon.spy();
+        const { onRefreshError: refreshError } = createStaleWhileRevalidate(cache, adapter, {
+            config: { onRefreshError },
+            emitError,
+        });
+
+        refreshError(error, { keys: [key1] });
+
+        expect(onRefreshError.getCall(0).args).deep.equal([error, { keys: [key1] }]);
+        expect(emitError.getCall(0).args).deep.equal([error, { keys: [key1] }]);
+    });
+});
@@ -0,0 +1,58 @@
+'use strict';
+
+const chai = require('chai');
+const NsqlCache = require('nsql-cache');
+const { Datastore } = require('@google-cloud/datastore');
+
+const DatastoreAdapter = require('../lib');
+const createTombstones = require('../lib/tombstones');
+
+const { expect } = chai;
+
+describe('Tombstones', () => {
+    let ds;
+    let adapter;
+    let cache;
+    let key1;
+    let key2;
+    let entity1;
+    let entity2;
+
+    beforeEach(() => {
+        ds = new Datastore();
+        adapter = DatastoreAdapter(ds);
+        cache = new NsqlCache({ db: adapter });
+        key1 = ds.key(['User', 123]);
+        key2 = ds.key(['User', 456]);
+        entity1 = { name: 'john', [ds.KEY]: key1 };
+        entity2 = { name: 'mick', [ds.KEY]: key2 };
+    });
+
+    it('should discard the entities fetched with a tombstone', () => {
+        const { setTombstones, removeTombstoned } = createTombstones(cache, adapter, true);
+
+        return setTombstones([key1], 60)
+            .then(() => Promise.all([removeTombstoned([entity1, entity2]), removeTombstoned(entity1)]))
+            .then(([entities, entity]) => {
+                expect(entities).deep.equal([entity2]);
+                expect(entity).equal(undefined);
+            });
+    });
+
+    it('should keep the entities once the tombstones are cleared', () => {
+        const { setTombstones, clearTombstones, removeTombstoned } = createTombstones(cache, adapter, true);
+
+        return setTombstones([key1, key2], 60)
+            .then(() => clearTombstones([key1]))
+            .then(() => removeTombstoned([entity1, entity2]))
+            .then(entities => {
+                expect(entities).deep.equal([entity1]);
+            });
+    });
+
+    it('should not read the cache when disabled', () => {
+        const { removeTombstoned } = createTombstones(cache, adapter, false);
+
+        expect(removeTombstoned([entity1, undefined])).deep.equal([entity1, undefined]);
+    });
+});
@@ -1,5 +1,12 @@
 'use strict';
 
+const { Readable } = require('stream');
+const sinon = require('sinon');
+const NsqlCache = require('nsql-cache');
+const { Datastore } = require('@google-cloud/datastore');
+
+const DatastoreAdapter = require('../lib');
+
 const randomString = (length = 8) => {
     const chars = 'abcdefghiklmnopqrstuvwxyz';
     let randomStr = '';
@@ -12,8 +19,105 @@ const randomString = (length = 8) => {
     return randomStr;
 };
 
+/**
+ * In-memory tracer with the OpenTelemetry "startSpan()" interface, keeping the spans started
+ */
+const createTracer = () => {
+    const spans = [];
+
+    const startSpan = (name, { attributes = {} } = {}) => {
+        const span = {
+            name,
+            attributes: Object.assign({}, attributes),
+            ended: false,
+            exception: undefined,
+            setAttribute(attribute, value) {
+                span.attributes[attribute] = value;
+            },
+            recordException(err) {
+                span.exception = err;
+            },
+            end() {
+                span.ended = true;
+            },
+        };
+        spans.push(span);
+        return span;
+    };
+
+    return { spans, startSpan };
+};
+
+/**
+ * Datastore client wrapped by the adapter of an nsql-cache instance, with the methods
+ * calling the Datastore stubbed. The stubs resolve the value provided, or call it when
+ * it is a function. They are created before the client is wrapped.
+ *
+ * @param {object} config The adapter config
+ * @param {object} stubs The methods to stub and their value
+ */
+const createWrappedClient = (config, stubs = {}) => {
+    const client = new Datastore();
+    const originals = Object.keys(stubs).reduce((acc, method) => {
+        const value = stubs[method];
+        // "runAggregationQuery()" only exists on newer versions of the client
+        const stub = typeof client[method] === 'function' ? sinon.stub(client, method) : sinon.stub();
+        client[method] = stub;
+        if (typeof value === 'function') {
+            stub.callsFake(value);
+        } else if (value !== undefined) {
+            stub.resolves(value);
+        }
+        return Object.assign(acc, { [method]: stub });
+    }, {});
+    const adapter = DatastoreAdapter(client, config);
+    const cache = new NsqlCache({ db: adapter });
+
+    return { client, adapter, cache, stubs: originals };
+};
+
+/**
+ * Stream returned by "datastore.runQueryStream()". The entities and the info are
+ * pushed (or the error emitted) after the delay.
+ */
+const createQueryStream = ({ entities = [], info, error, delay = 0 } = {}) => {
+    const stream = new Readable({ objectMode: true, read() {} });
+    setTimeout(() => {
+        if (error) {
+            stream.emit('error', error);
+            return;
+        }
+        entities.forEach(entity => stream.push(entity));
+        if (info) {
+            stream.emit('info', info);
+        }
+        stream.push(null);
+    }, delay);
+    return stream;
+};
+
+/**
+ * Stub the RPC calls of the transactions, so their own "run()", "commit()" and "rollback()"
+ * are called. The response of a method can be an Error.
+ *
+ * @param {Transaction} target A transaction or the Transaction prototype
+ * @param {object} responses The responses of the RPC methods ("beginTransaction", "commit", "rollback")
+ */
+const stubTransactionRequests = (target, responses = {}) =>
+    sinon.stub(target, 'request_').callsFake(({ method }, callback) => {
+        const response = Object.assign(
+            { beginTransaction: { transaction: 'tx' }, commit: { mutationResults: [] }, rollback: {} },
+            responses
+        )[method];
+        setImmediate(() => (response instanceof Error ? callback(response) : callback(null, response)));
+    });
+
 module.exports = {
     string: {
         random: randomString,
     },
+    createTracer,
+    createWrappedClient,
+    createQueryStream,
+    stubTransactionRequests,
 };